@@ -1,3 +1,4 @@
+import * as childProcess from "child_process";
 import * as events from "events";
 import * as stream from "stream";
 
@@ -19,8 +20,81 @@ declare namespace Ffmpeg {
         timeout?: number | undefined;
         source?: string | stream.Readable | undefined;
         cwd?: string | undefined;
+        signal?: AbortSignal | undefined;
+        progressPipe?: boolean | undefined;
+        probeCache?: boolean | undefined;
+        ffmpegPath?: string | undefined;
+        ffprobePath?: string | undefined;
+        flvtoolPath?: string | undefined;
     }
 
+    interface Binaries {
+        ffmpeg?: string | undefined;
+        ffprobe?: string | undefined;
+        flvtool?: string | undefined;
+    }
+
+    interface FfmpegCommandFactory {
+        (options?: FfmpegCommandOptions): FfmpegCommand;
+        (input?: string | stream.Readable, options?: FfmpegCommandOptions): FfmpegCommand;
+        availableFilters: typeof availableFilters;
+        getAvailableFilters: typeof getAvailableFilters;
+        availableCodecs: typeof availableCodecs;
+        getAvailableCodecs: typeof getAvailableCodecs;
+        availableFormats: typeof availableFormats;
+        getAvailableFormats: typeof getAvailableFormats;
+        availableEncoders: typeof availableEncoders;
+        getAvailableEncoders: typeof getAvailableEncoders;
+        availableDecoders: typeof availableDecoders;
+        availablePixelFormats: typeof availablePixelFormats;
+        availableSampleFormats: typeof availableSampleFormats;
+        availableLayouts: typeof availableLayouts;
+        availableProtocols: typeof availableProtocols;
+        availableBitstreamFilters: typeof availableBitstreamFilters;
+        warmCapabilityCache: typeof warmCapabilityCache;
+        invalidateCapabilityCache: typeof invalidateCapabilityCache;
+        encoderOptions: typeof encoderOptions;
+        filterOptions: typeof filterOptions;
+        muxerOptions: typeof muxerOptions;
+        ffmpegVersion: typeof ffmpegVersion;
+        ffprobeVersion: typeof ffprobeVersion;
+        ffprobe: typeof ffprobe;
+        metadata: typeof metadata;
+        primeProbeCache: typeof primeProbeCache;
+        probeFrames: typeof probeFrames;
+        probePackets: typeof probePackets;
+        keyframes: typeof keyframes;
+    }
+
+    interface FfprobeSettings {
+        signal?: AbortSignal | undefined;
+        legacy?: boolean | undefined;
+        cache?: boolean | undefined;
+    }
+
+    interface ProbeInterval {
+        start?: number | string | undefined;
+        end?: number | string | undefined;
+        duration?: number | string | undefined;
+        frames?: number | undefined;
+    }
+
+    interface ProbeItemsOptions {
+        streams?: string | number | undefined;
+        interval?: string | ProbeInterval | Array<string | ProbeInterval> | undefined;
+        entries?: string | string[] | undefined;
+        keyframesOnly?: boolean | undefined;
+        signal?: AbortSignal | undefined;
+    }
+
+    interface KeyframesOptions {
+        input?: number | undefined;
+        interval?: string | ProbeInterval | Array<string | ProbeInterval> | undefined;
+        signal?: AbortSignal | undefined;
+    }
+
+    type KeyframeSnapping = "previous" | "next" | "nearest";
+
     interface FilterSpecification {
         filter: string;
         inputs?: string | string[] | undefined;
@@ -72,6 +146,100 @@ declare namespace Ffmpeg {
         [key: string]: Encoder;
     }
     type EncodersCallback = (err: Error, encoders: Encoders) => void;
+    type DecodersCallback = (err: Error, decoders: Encoders) => void;
+
+    interface PixelFormat {
+        input: boolean;
+        output: boolean;
+        hardware: boolean;
+        paletted: boolean;
+        bitstream: boolean;
+        components: number;
+        bitsPerPixel: number;
+    }
+    interface PixelFormats {
+        [key: string]: PixelFormat;
+    }
+    type PixelFormatsCallback = (err: Error, pixelFormats: PixelFormats) => void;
+
+    interface SampleFormats {
+        [key: string]: { depth: number };
+    }
+    type SampleFormatsCallback = (err: Error, sampleFormats: SampleFormats) => void;
+
+    interface Layouts {
+        channels: Record<string, { description: string }>;
+        layouts: Record<string, { channels: string[] }>;
+    }
+    type LayoutsCallback = (err: Error, layouts: Layouts) => void;
+
+    interface Protocols {
+        [key: string]: { input: boolean; output: boolean };
+    }
+    type ProtocolsCallback = (err: Error, protocols: Protocols) => void;
+
+    type BitstreamFiltersCallback = (err: Error, bitstreamFilters: string[]) => void;
+
+    interface Capabilities {
+        filters: Filters;
+        codecs: Codecs;
+        encoders: Encoders;
+        formats: Formats;
+        decoders: Encoders;
+        pixelFormats: PixelFormats;
+        sampleFormats: SampleFormats;
+        layouts: Layouts;
+        protocols: Protocols;
+        bitstreamFilters: string[];
+        version: BinaryVersion;
+    }
+
+    interface AVOptionValue {
+        name: string;
+        value?: string | number | boolean;
+        description: string;
+    }
+
+    interface AVOption {
+        type: string;
+        flags: string;
+        description: string;
+        min?: string | number;
+        max?: string | number;
+        default?: string | number | boolean;
+        values: AVOptionValue[];
+    }
+
+    interface ComponentHelp {
+        name: string;
+        description: string;
+        options: Record<string, AVOption>;
+        pixelFormats?: string[];
+        sampleFormats?: string[];
+        sampleRates?: number[];
+        channelLayouts?: string[];
+    }
+    type ComponentHelpCallback = (err: Error | null, help: ComponentHelp) => void;
+
+    interface LibraryVersion {
+        major: number;
+        minor: number;
+        micro: number;
+    }
+
+    interface BinaryVersion {
+        program: string;
+        version: string;
+        major: number | null;
+        minor: number | null;
+        patch: number | null;
+        development: boolean;
+        libraries: Record<string, LibraryVersion>;
+        configuration: string[];
+        enabled: string[];
+        disabled: string[];
+    }
+    type VersionCallback = (err: Error | null, version: BinaryVersion) => void;
 
     interface Format {
         description: string;
@@ -87,6 +255,7 @@ declare namespace Ffmpeg {
         streams: FfprobeStream[];
         format: FfprobeFormat;
         chapters: any[];
+        programs?: any[] | undefined;
     }
 
     interface FfprobeStream {
@@ -122,23 +291,31 @@ declare namespace Ffmpeg {
         time_base?: string | undefined;
         start_pts?: number | undefined;
         start_time?: number | undefined;
-        duration_ts?: string | undefined;
-        duration?: string | undefined;
-        bit_rate?: string | undefined;
-        max_bit_rate?: string | undefined;
-        bits_per_raw_sample?: string | undefined;
-        nb_frames?: string | undefined;
-        nb_read_frames?: string | undefined;
-        nb_read_packets?: string | undefined;
+        duration_ts?: string | number | undefined;
+        duration?: string | number | undefined;
+        bit_rate?: string | number | undefined;
+        max_bit_rate?: string | number | undefined;
+        bits_per_raw_sample?: string | number | undefined;
+        nb_frames?: string | number | undefined;
+        nb_read_frames?: string | number | undefined;
+        nb_read_packets?: string | number | undefined;
         sample_fmt?: string | undefined;
         sample_rate?: number | undefined;
         channels?: number | undefined;
         channel_layout?: string | undefined;
         bits_per_sample?: number | undefined;
         disposition?: FfprobeStreamDisposition | undefined;
+        tags?: Record<string, string> | undefined;
+        side_data_list?: FfprobeSideData[] | undefined;
         rotation?: string | number | undefined;
     }
 
+    interface FfprobeSideData {
+        [key: string]: any;
+        side_data_type?: string | undefined;
+        rotation?: number | undefined;
+    }
+
     interface FfprobeStreamDisposition {
         [key: string]: any;
         default?: number | undefined;
@@ -170,6 +347,81 @@ declare namespace Ffmpeg {
         tags?: Record<string, string | number> | undefined;
     }
 
+    interface FfmpegErrorDetails {
+        exitCode?: number | null | undefined;
+        signal?: string | null | undefined;
+        args?: string[] | null | undefined;
+        stderrLines?: string[] | undefined;
+        cause?: Error | undefined;
+    }
+
+    class FfmpegError extends Error {
+        constructor(message: string, details?: FfmpegErrorDetails);
+        code: string;
+        exitCode: number | null;
+        signal: string | null;
+        args: string[] | null;
+        stderrLines: string[];
+        cause?: Error | undefined;
+    }
+
+    class SpawnError extends FfmpegError {
+        code: "ERR_FFMPEG_SPAWN";
+    }
+
+    class BinaryNotFoundError extends FfmpegError {
+        code: "ERR_FFMPEG_NOT_FOUND";
+    }
+
+    class CapabilityError extends FfmpegError {
+        code: "ERR_FFMPEG_CAPABILITY";
+    }
+
+    class InputError extends FfmpegError {
+        code: "ERR_FFMPEG_INPUT";
+    }
+
+    class CodecError extends FfmpegError {
+        code: "ERR_FFMPEG_CODEC";
+    }
+
+    class OutputStreamError extends FfmpegError {
+        code: "ERR_FFMPEG_OUTPUT_STREAM";
+    }
+
+    class TimeoutError extends FfmpegError {
+        code: "ERR_FFMPEG_TIMEOUT";
+    }
+
+    class KilledError extends FfmpegError {
+        code: "ERR_FFMPEG_KILLED";
+    }
+
+    class ProcessError extends FfmpegError {
+        code: "ERR_FFMPEG_EXIT";
+    }
+
+    class Metadata {
+        constructor(data: FfprobeData);
+
+        streams: FfprobeStream[];
+        format: FfprobeFormat;
+        chapters: any[];
+        programs: any[];
+
+        videoTracks(): FfprobeStream[];
+        audioTracks(): FfprobeStream[];
+        subtitleTracks(): FfprobeStream[];
+        primaryVideo(): FfprobeStream | null;
+        hasVideo(): boolean;
+        hasAudio(): boolean;
+        durationSeconds(): number | null;
+        frameRate(stream?: FfprobeStream): number | null;
+        rotation(stream?: FfprobeStream): number | null;
+        displayAspect(stream?: FfprobeStream): number | null;
+        isHDR(stream?: FfprobeStream): boolean;
+    }
+
     interface ScreenshotsConfig {
         count?: number | undefined;
         folder?: string | undefined;
@@ -180,6 +432,118 @@ declare namespace Ffmpeg {
         size?: string | undefined;
     }
 
+    type CutMode = "copy" | "accurate" | "smart";
+
+    interface CutOptions {
+        target: string | stream.Writable;
+        start?: number | string | undefined;
+        end?: number | string | undefined;
+        mode?: CutMode | undefined;
+    }
+
+    interface RunResult {
+        stdout: string | null;
+        stderr: string | null;
+        args: string[];
+    }
+
+    interface Progress {
+        frames: number;
+        currentFps: number;
+        currentKbps: number;
+        targetSize: number;
+        timemark: string;
+        percent?: number | undefined;
+        speed?: number | undefined;
+        droppedFrames?: number | undefined;
+        duplicatedFrames?: number | undefined;
+        eta?: number | undefined;
+    }
+
+    interface PoolOptions {
+        concurrency?: number | undefined;
+    }
+
+    interface PoolJob {
+        id: number;
+        command: FfmpegCommand;
+        state: "queued" | "running" | "done" | "failed" | "cancelled";
+        progress: Progress | null;
+        error: Error | null;
+    }
+
+    interface PoolStats {
+        total: number;
+        queued: number;
+        running: number;
+        done: number;
+        failed: number;
+        cancelled: number;
+        percent: number;
+    }
+
+    class FfmpegPool extends events.EventEmitter {
+        constructor(options?: PoolOptions);
+
+        concurrency: number;
+
+        add(command: FfmpegCommand): PoolJob;
+        push(command: FfmpegCommand): PoolJob;
+        cancel(job: PoolJob | FfmpegCommand): boolean;
+        cancelAll(): void;
+        stats(): PoolStats;
+
+        on(event: "jobStart", listener: (job: PoolJob, commandLine: string) => void): this;
+        on(event: "jobProgress", listener: (job: PoolJob, progress: Progress) => void): this;
+        on(event: "jobEnd", listener: (job: PoolJob, stdout: string | null, stderr: string | null) => void): this;
+        on(event: "jobError", listener: (job: PoolJob, error: Error) => void): this;
+        on(event: "jobCancel", listener: (job: PoolJob) => void): this;
+        on(event: "progress" | "drain", listener: (stats: PoolStats) => void): this;
+        on(event: string, listener: (...args: any[]) => void): this;
+    }
+
+    class FfprobeReader<T = { [key: string]: any }> extends events.EventEmitter implements AsyncIterable<T> {
+        type: "frame" | "packet";
+        count: number;
+        ended: boolean;
+        ffprobeProc: childProcess.ChildProcess | null;
+
+        pause(): this;
+        resume(): this;
+        kill(signal?: string): this;
+        [Symbol.asyncIterator](): AsyncIterator<T>;
+
+        on(event: "frame" | "packet", listener: (item: T) => void): this;
+        on(event: "end", listener: (count: number) => void): this;
+        on(event: "error", listener: (error: Error) => void): this;
+        on(event: string, listener: (...args: any[]) => void): this;
+    }
+
+    interface SerializedOutput {
+        target?: string | undefined;
+        flags: { [key: string]: boolean };
+        sizeData?: { [key: string]: any } | undefined;
+        audio: Array<string | number>;
+        audioFilters: string[];
+        video: Array<string | number>;
+        videoFilters: string[];
+        sizeFilters: string[];
+        options: Array<string | number>;
+    }
+
+    interface SerializedCommand {
+        options: FfmpegCommandOptions;
+        inputs: Array<{ source: string; options: Array<string | number> }>;
+        outputs: SerializedOutput[];
+        global: Array<string | number>;
+        complexFilters: string[];
+    }
+
+    interface DryRunResult {
+        path: string;
+        args: string[];
+    }
+
     interface AudioVideoFilter {
         filter: string;
         options: string | string[] | {};
@@ -189,14 +553,54 @@ declare namespace Ffmpeg {
     function setFfmpegPath(path: string): FfmpegCommand;
     function setFfprobePath(path: string): FfmpegCommand;
     function setFlvtoolPath(path: string): FfmpegCommand;
+    function withBinaries(binaries: Binaries): FfmpegCommandFactory;
     function availableFilters(callback: FiltersCallback): void;
+    function availableFilters(): Promise<Filters>;
     function getAvailableFilters(callback: FiltersCallback): void;
+    function getAvailableFilters(): Promise<Filters>;
     function availableCodecs(callback: CodecsCallback): void;
+    function availableCodecs(): Promise<Codecs>;
     function getAvailableCodecs(callback: CodecsCallback): void;
+    function getAvailableCodecs(): Promise<Codecs>;
     function availableEncoders(callback: EncodersCallback): void;
+    function availableEncoders(): Promise<Encoders>;
     function getAvailableEncoders(callback: EncodersCallback): void;
+    function getAvailableEncoders(): Promise<Encoders>;
+    function availableDecoders(callback: DecodersCallback): void;
+    function availableDecoders(): Promise<Encoders>;
+    function availablePixelFormats(callback: PixelFormatsCallback): void;
+    function availablePixelFormats(): Promise<PixelFormats>;
+    function availableSampleFormats(callback: SampleFormatsCallback): void;
+    function availableSampleFormats(): Promise<SampleFormats>;
+    function availableLayouts(callback: LayoutsCallback): void;
+    function availableLayouts(): Promise<Layouts>;
+    function availableProtocols(callback: ProtocolsCallback): void;
+    function availableProtocols(): Promise<Protocols>;
+    function availableBitstreamFilters(callback: BitstreamFiltersCallback): void;
+    function availableBitstreamFilters(): Promise<string[]>;
+    function setCapabilityCachePath(file: string | null): void;
+    function warmCapabilityCache(callback: (err: Error | null, capabilities?: Capabilities) => void): void;
+    function warmCapabilityCache(): Promise<Capabilities>;
+    function invalidateCapabilityCache(callback: (err: Error | null) => void): void;
+    function invalidateCapabilityCache(): Promise<void>;
+    function encoderOptions(name: string, callback: ComponentHelpCallback): void;
+    function encoderOptions(name: string): Promise<ComponentHelp>;
+    function filterOptions(name: string, callback: ComponentHelpCallback): void;
+    function filterOptions(name: string): Promise<ComponentHelp>;
+    function muxerOptions(name: string, callback: ComponentHelpCallback): void;
+    function muxerOptions(name: string): Promise<ComponentHelp>;
+    function ffmpegVersion(callback: VersionCallback): void;
+    function ffmpegVersion(): Promise<BinaryVersion>;
+    function ffprobeVersion(callback: VersionCallback): void;
+    function ffprobeVersion(): Promise<BinaryVersion>;
+    function versionAtLeast(version: BinaryVersion | null, minimum: string | number): boolean;
     function availableFormats(callback: FormatsCallback): void;
+    function availableFormats(): Promise<Formats>;
     function getAvailableFormats(callback: FormatsCallback): void;
+    function getAvailableFormats(): Promise<Formats>;
+    function createPool(options?: PoolOptions): FfmpegPool;
+    function fromArgs(argv: string[], options?: FfmpegCommandOptions): FfmpegCommand;
+    function fromJSON(json: SerializedCommand | string, options?: FfmpegCommandOptions): FfmpegCommand;
 
     class FfmpegCommand extends events.EventEmitter {
         constructor(options?: FfmpegCommandOptions);
@@ -366,19 +770,98 @@ declare namespace Ffmpeg {
         setFfprobePath(path: string): FfmpegCommand;
         setFlvtoolPath(path: string): FfmpegCommand;
         availableFilters(callback: FiltersCallback): void;
+        availableFilters(): Promise<Filters>;
         getAvailableFilters(callback: FiltersCallback): void;
+        getAvailableFilters(): Promise<Filters>;
         availableCodecs(callback: CodecsCallback): void;
+        availableCodecs(): Promise<Codecs>;
         getAvailableCodecs(callback: CodecsCallback): void;
+        getAvailableCodecs(): Promise<Codecs>;
         availableEncoders(callback: EncodersCallback): void;
+        availableEncoders(): Promise<Encoders>;
         getAvailableEncoders(callback: EncodersCallback): void;
+        getAvailableEncoders(): Promise<Encoders>;
+        availableDecoders(callback: DecodersCallback): void;
+        availableDecoders(): Promise<Encoders>;
+        availablePixelFormats(callback: PixelFormatsCallback): void;
+        availablePixelFormats(): Promise<PixelFormats>;
+        availableSampleFormats(callback: SampleFormatsCallback): void;
+        availableSampleFormats(): Promise<SampleFormats>;
+        availableLayouts(callback: LayoutsCallback): void;
+        availableLayouts(): Promise<Layouts>;
+        availableProtocols(callback: ProtocolsCallback): void;
+        availableProtocols(): Promise<Protocols>;
+        availableBitstreamFilters(callback: BitstreamFiltersCallback): void;
+        availableBitstreamFilters(): Promise<string[]>;
+        setCapabilityCachePath(file: string | null): FfmpegCommand;
+        warmCapabilityCache(callback: (err: Error | null, capabilities?: Capabilities) => void): void;
+        warmCapabilityCache(): Promise<Capabilities>;
+        invalidateCapabilityCache(callback: (err: Error | null) => void): void;
+        invalidateCapabilityCache(): Promise<void>;
+        encoderOptions(name: string, callback: ComponentHelpCallback): void;
+        encoderOptions(name: string): Promise<ComponentHelp>;
+        filterOptions(name: string, callback: ComponentHelpCallback): void;
+        filterOptions(name: string): Promise<ComponentHelp>;
+        muxerOptions(name: string, callback: ComponentHelpCallback): void;
+        muxerOptions(name: string): Promise<ComponentHelp>;
+        ffmpegVersion(callback: VersionCallback): void;
+        ffmpegVersion(): Promise<BinaryVersion>;
+        ffprobeVersion(callback: VersionCallback): void;
+        ffprobeVersion(): Promise<BinaryVersion>;
         availableFormats(callback: FormatsCallback): void;
+        availableFormats(): Promise<Formats>;
         getAvailableFormats(callback: FormatsCallback): void;
+        getAvailableFormats(): Promise<Formats>;
 
         // ffprobe
         ffprobe(callback: (err: any, data: FfprobeData) => void): void;
         ffprobe(index: number, callback: (err: any, data: FfprobeData) => void): void;
         ffprobe(options: string[], callback: (err: any, data: FfprobeData) => void): void; // tslint:disable-line unified-signatures
         ffprobe(index: number, options: string[], callback: (err: any, data: FfprobeData) => void): void;
+        ffprobe(
+            index: number | null,
+            options: string[],
+            settings: FfprobeSettings,
+            callback: (err: any, data: FfprobeData) => void,
+        ): void;
+        ffprobe(index?: number | null, options?: string[], settings?: FfprobeSettings): Promise<FfprobeData>;
+        ffprobe(options: string[], settings?: FfprobeSettings): Promise<FfprobeData>; // tslint:disable-line unified-signatures
+        ffprobe(settings: FfprobeSettings): Promise<FfprobeData>; // tslint:disable-line unified-signatures
+        metadata(callback: (err: any, metadata: Metadata) => void): void;
+        metadata(index: number, callback: (err: any, metadata: Metadata) => void): void;
+        metadata(
+            index: number | null,
+            options: string[],
+            settings: FfprobeSettings,
+            callback: (err: any, metadata: Metadata) => void,
+        ): void;
+        metadata(index?: number | null, options?: string[], settings?: FfprobeSettings): Promise<Metadata>;
+        metadata(settings: FfprobeSettings): Promise<Metadata>; // tslint:disable-line unified-signatures
+        probeAll(callback: (err: any, metadata: Array<Metadata | null>) => void): void;
+        probeAll(settings: FfprobeSettings, callback: (err: any, metadata: Array<Metadata | null>) => void): void;
+        probeAll(settings?: FfprobeSettings): Promise<Array<Metadata | null>>;
+        primeProbeCache(callback: (err: any, data: FfprobeData) => void): void;
+        primeProbeCache(data: FfprobeData, callback: (err: any, data: FfprobeData) => void): void;
+        primeProbeCache(
+            index: number | null,
+            data: FfprobeData,
+            callback: (err: any, data: FfprobeData) => void,
+        ): void;
+        primeProbeCache(index?: number | null, data?: FfprobeData): Promise<FfprobeData>;
+        primeProbeCache(data: FfprobeData): Promise<FfprobeData>; // tslint:disable-line unified-signatures
+        clearProbeCache(index?: number): FfmpegCommand;
+        probeFrames(index?: number | null, options?: ProbeItemsOptions): FfprobeReader;
+        probeFrames(options: ProbeItemsOptions): FfprobeReader; // tslint:disable-line unified-signatures
+        probePackets(index?: number | null, options?: ProbeItemsOptions): FfprobeReader;
+        probePackets(options: ProbeItemsOptions): FfprobeReader; // tslint:disable-line unified-signatures
+        keyframes(callback: (err: any, keyframes: number[]) => void): void;
+        keyframes(stream: string | number, callback: (err: any, keyframes: number[]) => void): void;
+        keyframes(
+            stream: string | number,
+            options: KeyframesOptions,
+            callback: (err: any, keyframes: number[]) => void,
+        ): void;
+        keyframes(stream?: string | number, options?: KeyframesOptions): Promise<number[]>;
 
         // event listeners
         /**
@@ -400,17 +883,14 @@ declare namespace Ffmpeg {
          * @param progress.targetSize current output file size
          * @param progress.timemark current video timemark
          * @param [progress.percent] processing progress (may not be available depending on input)
+         * @param [progress.speed] processing speed relative to realtime (only with the 'progressPipe' option, not on Windows)
+         * @param [progress.droppedFrames] number of dropped frames (only with the 'progressPipe' option, not on Windows)
+         * @param [progress.duplicatedFrames] number of duplicated frames (only with the 'progressPipe' option, not on Windows)
+         * @param [progress.eta] estimated remaining processing time in seconds (may not be available depending on input)
          */
         on(
             event: "progress",
-            listener: (progress: {
-                frames: number;
-                currentFps: number;
-                currentKbps: number;
-                targetSize: number;
-                timemark: string;
-                percent?: number | undefined;
-            }) => void,
+            listener: (progress: Progress) => void,
         ): this;
 
         /**
@@ -478,6 +958,7 @@ declare namespace Ffmpeg {
         writeToStream(stream: stream.Writable, options?: { end?: boolean | undefined }): stream.Writable;
         pipe(stream?: stream.Writable, options?: { end?: boolean | undefined }): stream.Writable | stream.PassThrough;
         stream(stream: stream.Writable, options?: { end?: boolean | undefined }): stream.Writable;
+        asTransform(options?: stream.DuplexOptions): stream.Duplex;
         takeScreenshots(config: number | ScreenshotsConfig, folder?: string): FfmpegCommand;
         thumbnail(config: number | ScreenshotsConfig, folder?: string): FfmpegCommand;
         thumbnails(config: number | ScreenshotsConfig, folder?: string): FfmpegCommand;
@@ -486,8 +967,22 @@ declare namespace Ffmpeg {
         mergeToFile(target: string | stream.Writable, tmpFolder: string): FfmpegCommand;
         concatenate(target: string | stream.Writable, options?: { end?: boolean | undefined }): FfmpegCommand;
         concat(target: string | stream.Writable, options?: { end?: boolean | undefined }): FfmpegCommand;
+        cut(options: CutOptions): FfmpegCommand;
+        trim(options: CutOptions): FfmpegCommand;
+        saveToFileAsync(output: string): Promise<RunResult>;
+        saveAsync(output: string): Promise<RunResult>;
         clone(): FfmpegCommand;
+        toJSON(): SerializedCommand;
         run(): void;
+        exec(): void;
+        execute(): void;
+        runAsync(): Promise<RunResult>;
+        execAsync(): Promise<RunResult>;
+        executeAsync(): Promise<RunResult>;
+        toArgs(callback: (err: Error | null, result: DryRunResult) => void): void;
+        toArgs(): Promise<DryRunResult>;
+        dryRun(callback: (err: Error | null, result: DryRunResult) => void): void;
+        dryRun(): Promise<DryRunResult>;
     }
 
     function ffprobe(file: string, callback: (err: any, data: FfprobeData) => void): void;
@@ -499,6 +994,43 @@ declare namespace Ffmpeg {
         options: string[],
         callback: (err: any, data: FfprobeData) => void,
     ): void;
+    function ffprobe(
+        file: string,
+        index: number | null,
+        options: string[],
+        settings: FfprobeSettings,
+        callback: (err: any, data: FfprobeData) => void,
+    ): void;
+    function ffprobe(
+        file: string,
+        index?: number | null,
+        options?: string[],
+        settings?: FfprobeSettings,
+    ): Promise<FfprobeData>;
+    function ffprobe(file: string, options: string[], settings?: FfprobeSettings): Promise<FfprobeData>; // tslint:disable-line unified-signatures
+    function ffprobe(file: string, settings: FfprobeSettings): Promise<FfprobeData>; // tslint:disable-line unified-signatures
+    function metadata(file: string, callback: (err: any, metadata: Metadata) => void): void;
+    function metadata(file: string, index: number, callback: (err: any, metadata: Metadata) => void): void;
+    function metadata(file: string, index?: number | null, options?: string[], settings?: FfprobeSettings): Promise<Metadata>;
+    function metadata(file: string, settings: FfprobeSettings): Promise<Metadata>; // tslint:disable-line unified-signatures
+    function primeProbeCache(file: string, callback: (err: any, data: FfprobeData) => void): void;
+    function primeProbeCache(file: string, data: FfprobeData, callback: (err: any, data: FfprobeData) => void): void;
+    function primeProbeCache(file: string, data?: FfprobeData): Promise<FfprobeData>;
+    function clearProbeCache(file?: string): void;
+    function probeFrames(file: string, index?: number | null, options?: ProbeItemsOptions): FfprobeReader;
+    function probeFrames(file: string, options: ProbeItemsOptions): FfprobeReader; // tslint:disable-line unified-signatures
+    function probePackets(file: string, index?: number | null, options?: ProbeItemsOptions): FfprobeReader;
+    function probePackets(file: string, options: ProbeItemsOptions): FfprobeReader; // tslint:disable-line unified-signatures
+    function keyframes(file: string, callback: (err: any, keyframes: number[]) => void): void;
+    function keyframes(file: string, stream: string | number, callback: (err: any, keyframes: number[]) => void): void;
+    function keyframes(
+        file: string,
+        stream: string | number,
+        options: KeyframesOptions,
+        callback: (err: any, keyframes: number[]) => void,
+    ): void;
+    function keyframes(file: string, stream?: string | number, options?: KeyframesOptions): Promise<number[]>;
+    function snapToKeyframe(keyframes: number[], time: number | string, direction?: KeyframeSnapping): number | null;
 }
 declare function Ffmpeg(options?: Ffmpeg.FfmpegCommandOptions): Ffmpeg.FfmpegCommand;
 declare function Ffmpeg(input?: string | stream.Readable, options?: Ffmpeg.FfmpegCommandOptions): Ffmpeg.FfmpegCommand;
@@ -2,10 +2,13 @@
 'use strict';
 
 var fs = require('fs');
+var os = require('os');
 var path = require('path');
 var async = require('async');
 var utils = require('./utils');
+var errors = require('./errors');
 var exec = require('child_process').exec;
+var execFile = require('child_process').execFile;
 
 /*
  *! Capability helpers
@@ -18,14 +21,325 @@ var ffDecodersRegexp = /\(decoders:([^\)]+)\)/;
 var encodersRegexp = /^\s*([VAS\.])([F\.])([S\.])([X\.])([B\.])([D\.]) ([^ ]+) +(.*)$/;
 var formatRegexp = /^\s*([D ])([E ])\s+([^ ]+)\s+(.*)$/;
 var lineBreakRegexp = /\r\n|\r|\n/;
-var filterRegexp = /^... ([^ ]+) +(AA?|VV?|N|\|)->(AA?|VV?|N|\|) +(.*)$/;
+var filterRegexp = /^\s*(?:[T.][S.][C.] )?([^ ]+) +([AVN|]+)->([AVN|]+) +(.*)$/;
+var pixelFormatRegexp = /^([I.])([O.])([H.])([P.])([B.]) (\S+)\s+(\d+)\s+(\d+)/;
+var sampleFormatRegexp = /^(\w+)\s+(\d+)\s*$/;
+var layoutRegexp = /^(\S+)\s+(.*)$/;
 
 var cache = {};
 
+
+/**
+ * Wrap an error from running ffmpeg or ffprobe with exec()
+ *
+ * Shell errors for missing or non-executable binaries are wrapped in a
+ * BinaryNotFoundError or a SpawnError; other errors are returned unchanged.
+ *
+ * @param {Error} err exec() error
+ * @return {Error} error
+ * @private
+ */
+function execError(err) {
+  if (err.code === 127) {
+    return new errors.BinaryNotFoundError(err.message.trim(), { exitCode: err.code, cause: err });
+  } else if (err.code === 126) {
+    return new errors.SpawnError(err.message.trim(), { exitCode: err.code, cause: err });
+  }
+
+  return err;
+}
+
+
+/**
+ * Parse encoder or decoder lines from '-encoders' or '-decoders' output
+ *
+ * @param {String[]} lines output lines
+ * @return {Object} encoders or decoders, see {@link FfmpegCommand~encodersCallback}
+ * @private
+ */
+function parseCoders(lines) {
+  var coders = {};
+
+  lines.forEach(function (line) {
+    var match = line.match(encodersRegexp);
+    if (match) {
+      coders[match[7]] = {
+        type: {
+          'V': 'video',
+          'A': 'audio',
+          'S': 'subtitle'
+        }[match[1]],
+        description: match[8],
+        frameMT: match[2] === 'F',
+        sliceMT: match[3] === 'S',
+        experimental: match[4] === 'X',
+        drawHorizBand: match[5] === 'B',
+        directRendering: match[6] === 'D'
+      };
+    }
+  });
+
+  return coders;
+}
+
+
+// Capability query results, with ffmpeg binary paths as keys
+var capabilities = {};
+
+// ffprobe versions, with ffprobe binary paths as keys
+var ffprobeVersions = {};
+
+// Cache keys of capability query results, stored in the capability cache file
+var CAPABILITY_KEYS = [
+  'filters', 'codecs', 'encoders', 'formats', 'decoders', 'pixelFormats', 'sampleFormats', 'layouts',
+  'protocols', 'bitstreamFilters', 'ffmpegVersion', 'encoderOptions', 'filterOptions', 'muxerOptions',
+  'muxing'
+];
+
+// Maximum duration of a muxing check, in milliseconds
+var MUXING_CHECK_TIMEOUT = 10000;
+
+// Capability cache file format version, files with another version are ignored
+var CAPABILITY_CACHE_FORMAT = 1;
+
+// ffmpeg binary paths whose results have been read from the capability cache file
+var capabilityCacheLoaded = {};
+
+var capabilityCacheSaving = false;
+var capabilityCacheQueue = [];
+
+/**
+ * Read the capability cache file
+ *
+ * Missing, unreadable or outdated files are read as an empty cache.
+ *
+ * @param {String} file cache file path
+ * @param {Function} callback callback with signature (data)
+ * @private
+ */
+function readCapabilityCacheFile(file, callback) {
+  fs.readFile(file, 'utf8', function (err, contents) {
+    var data = null;
+
+    if (!err) {
+      try {
+        data = JSON.parse(contents);
+      } catch (e) {
+        data = null;
+      }
+    }
+
+    if (!data || data.format !== CAPABILITY_CACHE_FORMAT || typeof data.entries !== 'object') {
+      data = { format: CAPABILITY_CACHE_FORMAT, entries: {} };
+    }
+
+    callback(data);
+  });
+}
+
+/**
+ * Run a binary with the '-version' flag and parse its output
+ *
+ * @param {String} command binary path
+ * @param {AbortSignal} [signal] signal used to cancel the query
+ * @param {FfmpegCommand~versionCallback} callback callback function
+ * @private
+ */
+function readVersion(command, signal, callback) {
+  exec(command + ' -version', { maxBuffer: 1024 * 1024, signal: signal }, function (err, stdout) {
+    if (err) {
+      return callback(execError(err));
+    }
+
+    var version = utils.parseVersion(stdout.toString());
+
+    if (!version) {
+      return callback(new Error('Could not parse version output of ' + command));
+    }
+
+    callback(null, version);
+  });
+}
+
+/**
+ * Read capability query results for an ffmpeg binary from the capability cache file
+ *
+ * Results already known are kept.  Entries are only used when the binary
+ * modification time, size and version match; when the version is not known
+ * yet, it is queried once with '-version' and kept.  Errors are ignored,
+ * capabilities are then queried from ffmpeg.
+ *
+ * @param {String} ffmpegPath ffmpeg binary path
+ * @param {AbortSignal} [signal] signal used to cancel the version query
+ * @param {Function} callback callback with no arguments
+ * @private
+ */
+function loadCapabilityCache(ffmpegPath, signal, callback) {
+  var file = cache.capabilityCachePath;
+  var results = capabilities[ffmpegPath];
+
+  function loaded() {
+    if (file === cache.capabilityCachePath) {
+      capabilityCacheLoaded[ffmpegPath] = true;
+    }
+
+    callback();
+  }
+
+  fs.stat(ffmpegPath, function (err, stats) {
+    if (err) {
+      return loaded();
+    }
+
+    readCapabilityCacheFile(file, function (data) {
+      var entry = data.entries[ffmpegPath];
+
+      if (!entry || entry.mtimeMs !== stats.mtimeMs || entry.size !== stats.size) {
+        return loaded();
+      }
+
+      function useEntry(version) {
+        if (entry.version === version) {
+          Object.keys(entry.results).forEach(function (key) {
+            if (CAPABILITY_KEYS.indexOf(key) !== -1 && !(key in results)) {
+              results[key] = entry.results[key];
+            }
+          });
+        }
+
+        loaded();
+      }
+
+      if (results.ffmpegVersion) {
+        return useEntry(results.ffmpegVersion.version);
+      }
+
+      readVersion(ffmpegPath, signal, function (err, version) {
+        if (err) {
+          return loaded();
+        }
+
+        results.ffmpegVersion = version;
+        useEntry(version.version);
+      });
+    });
+  });
+}
+
+/**
+ * Write capability query results for an ffmpeg binary to the capability cache file
+ *
+ * Writes are serialized; results obtained while a write is running are written
+ * once it completes.
+ *
+ * @param {String} ffmpegPath ffmpeg binary path
+ * @param {Function} [callback] callback with signature (err)
+ * @private
+ */
+function saveCapabilityCache(ffmpegPath, callback) {
+  callback = callback || function () {};
+
+  if (!cache.capabilityCachePath) {
+    return callback(null);
+  }
+
+  capabilityCacheQueue.push({ ffmpegPath: ffmpegPath, callback: callback });
+
+  if (!capabilityCacheSaving) {
+    writeCapabilityCache();
+  }
+}
+
+/**
+ * Write queued capability query results to the capability cache file
+ *
+ * The file is replaced atomically so that concurrent processes never read a
+ * partial file.  Writes are only serialized within a process: entries are
+ * merged into the file as read just before replacing it, but entries another
+ * process writes between that read and the rename are lost.
+ *
+ * @private
+ */
+function writeCapabilityCache() {
+  var file = cache.capabilityCachePath;
+  var queue = capabilityCacheQueue;
+
+  capabilityCacheQueue = [];
+  capabilityCacheSaving = true;
+
+  function done(err) {
+    capabilityCacheSaving = false;
+
+    queue.forEach(function (item) {
+      item.callback(err || null);
+    });
+
+    // Write results obtained in the meantime
+    if (capabilityCacheQueue.length) {
+      writeCapabilityCache();
+    }
+  }
+
+  var paths = queue.map(function (item) {
+    return item.ffmpegPath;
+  }).filter(function (ffmpegPath, index, paths) {
+    return paths.indexOf(ffmpegPath) === index;
+  });
+  var entries = {};
+
+  async.each(paths, function (ffmpegPath, next) {
+    fs.stat(ffmpegPath, function (err, stats) {
+      if (err) {
+        return next(err);
+      }
+
+      var results = {};
+
+      CAPABILITY_KEYS.forEach(function (key) {
+        if (key in capabilities[ffmpegPath]) {
+          results[key] = capabilities[ffmpegPath][key];
+        }
+      });
+
+      entries[ffmpegPath] = {
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        version: results.ffmpegVersion ? results.ffmpegVersion.version : null,
+        results: results
+      };
+
+      next();
+    });
+  }, function (err) {
+    if (err) {
+      return done(err);
+    }
+
+    // Read the file right before replacing it to keep entries other processes
+    // wrote in the meantime
+    readCapabilityCacheFile(file, function (data) {
+      utils.copy(entries, data.entries);
+
+      var tempFile = file + '.' + process.pid + '.tmp';
+
+      fs.writeFile(tempFile, JSON.stringify(data), function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        fs.rename(tempFile, file, done);
+      });
+    });
+  });
+}
+
 module.exports = function (proto) {
   /**
    * Manually define the ffmpeg binary full path.
    *
+   * The path is used by all commands that have no 'ffmpegPath' option, see
+   * {@link FfmpegCommand.withBinaries} to use different binaries.
+   *
    * @method FfmpegCommand#setFfmpegPath
    *
    * @param {String} ffmpegPath The full path to the ffmpeg binary.
@@ -39,6 +353,8 @@ module.exports = function (proto) {
   /**
    * Manually define the ffprobe binary full path.
    *
+   * The path is used by all commands that have no 'ffprobePath' option.
+   *
    * @method FfmpegCommand#setFfprobePath
    *
    * @param {String} ffprobePath The full path to the ffprobe binary.
@@ -79,7 +395,8 @@ module.exports = function (proto) {
   /**
    * Check for ffmpeg availability
    *
-   * If the FFMPEG_PATH environment variable is set, try to use it.
+   * Uses the 'ffmpegPath' command option when set.  Otherwise, if the
+   * FFMPEG_PATH environment variable is set, try to use it.
    * If it is unset or incorrect, try to find ffmpeg in the PATH instead.
    *
    * @method FfmpegCommand#_getFfmpegPath
@@ -87,10 +404,24 @@ module.exports = function (proto) {
    * @private
    */
   proto._getFfmpegPath = function (callback) {
+    if (this.options.ffmpegPath) {
+      return callback(null, this.options.ffmpegPath);
+    }
+
+    findFfmpeg(callback);
+  };
+
+  /**
+   * Find the process-wide ffmpeg binary
+   *
+   * @param {Function} callback callback with signature (err, path)
+   * @private
+   */
+  function findFfmpeg(callback) {
     if ('ffmpegPath' in cache) {
       // If path is empty string, it means it was not found in previous calls.
       if (cache.ffmpegPath === '') {
-        return callback(new Error('ffmpeg not found'));
+        return callback(new errors.BinaryNotFoundError('ffmpeg not found'));
       }
       return callback(null, cache.ffmpegPath);
     }
@@ -138,18 +469,19 @@ module.exports = function (proto) {
       } else {
         if (!ffmpeg || ffmpeg.length === 0) {
           cache.ffmpegPath = ''; // Cache that it's not found
-          return callback(new Error('ffmpeg not found'));
+          return callback(new errors.BinaryNotFoundError('ffmpeg not found'));
         }
         callback(null, cache.ffmpegPath = ffmpeg);
       }
     });
-  };
+  }
 
 
   /**
    * Check for ffprobe availability
    *
-   * If the FFPROBE_PATH environment variable is set, try to use it.
+   * Uses the 'ffprobePath' command option when set.  Otherwise, if the
+   * FFPROBE_PATH environment variable is set, try to use it.
    * If it is unset or incorrect, try to find ffprobe in the PATH instead.
    * If this still fails, try to find ffprobe in the same directory as ffmpeg.
    *
@@ -158,8 +490,20 @@ module.exports = function (proto) {
    * @private
    */
   proto._getFfprobePath = function (callback) {
-    var self = this;
+    if (this.options.ffprobePath) {
+      return callback(null, this.options.ffprobePath);
+    }
 
+    findFfprobe(callback);
+  };
+
+  /**
+   * Find the process-wide ffprobe binary
+   *
+   * @param {Function} callback callback with signature (err, path)
+   * @private
+   */
+  function findFfprobe(callback) {
     if ('ffprobePath' in cache) {
       return callback(null, cache.ffprobePath);
     }
@@ -196,7 +540,7 @@ module.exports = function (proto) {
           return cb(null, ffprobe);
         }
 
-        self._getFfmpegPath(function (err, ffmpeg) {
+        findFfmpeg(function (err, ffmpeg) {
           if (err) {
             cb(err);
           } else if (ffmpeg && ffmpeg.length) {
@@ -220,13 +564,14 @@ module.exports = function (proto) {
         callback(null, cache.ffprobePath = (ffprobe || ''));
       }
     });
-  };
+  }
 
 
   /**
    * Check for flvtool2/flvmeta availability
    *
-   * If the FLVTOOL2_PATH or FLVMETA_PATH environment variable are set, try to use them.
+   * Uses the 'flvtoolPath' command option when set.  Otherwise, if the
+   * FLVTOOL2_PATH or FLVMETA_PATH environment variable are set, try to use them.
    * If both are either unset or incorrect, try to find flvtool2 or flvmeta in the PATH instead.
    *
    * @method FfmpegCommand#_getFlvtoolPath
@@ -234,6 +579,20 @@ module.exports = function (proto) {
    * @private
    */
   proto._getFlvtoolPath = function (callback) {
+    if (this.options.flvtoolPath) {
+      return callback(null, this.options.flvtoolPath);
+    }
+
+    findFlvtool(callback);
+  };
+
+  /**
+   * Find the process-wide flvtool2/flvmeta binary
+   *
+   * @param {Function} callback callback with signature (err, path)
+   * @private
+   */
+  function findFlvtool(callback) {
     if ('flvtoolPath' in cache) {
       return callback(null, cache.flvtoolPath);
     }
@@ -302,6 +661,107 @@ module.exports = function (proto) {
         callback(null, cache.flvtoolPath = (flvtool || ''));
       }
     });
+  }
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#ffmpegVersion} and {@link FfmpegCommand#ffprobeVersion}.
+   *
+   * @callback FfmpegCommand~versionCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} version version object with the following properties:
+   * @param {String} version.program program name ('ffmpeg' or 'ffprobe')
+   * @param {String} version.version version string, eg. '6.1.1-3ubuntu5' or 'N-109421-g9adf02247c'
+   * @param {Number|null} version.major major version
+   * @param {Number|null} version.minor minor version
+   * @param {Number|null} version.patch patch version, null for development builds
+   * @param {Boolean} version.development whether this is a development build; its major and minor
+   *   versions are then guessed from the libavcodec version
+   * @param {Object} version.libraries library versions, with library names (eg. 'avcodec') as keys
+   *   and objects with 'major', 'minor' and 'micro' properties as values
+   * @param {String[]} version.configuration build configuration flags
+   * @param {String[]} version.enabled features enabled at build time (eg. 'libx264', 'gpl')
+   * @param {String[]} version.disabled features disabled at build time
+   */
+
+  /**
+   * Query ffmpeg version and build configuration
+   *
+   * @example
+   *   ffmpeg().ffmpegVersion(function(err, version) {
+   *     if (ffmpeg.versionAtLeast(version, '4.4') && version.enabled.indexOf('libx264') !== -1) {
+   *       // ...
+   *     }
+   *   });
+   *
+   * @method FfmpegCommand#ffmpegVersion
+   * @category Capabilities
+   *
+   * @param {FfmpegCommand~versionCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the version object when no callback is given
+   */
+  proto.ffmpegVersion = function (callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.ffmpegVersion.bind(this));
+    }
+
+    var signal = this.options.signal;
+
+    getCapabilities(this, function (err, ffmpegPath, results) {
+      if (err) {
+        return callback(err);
+      }
+      if ('ffmpegVersion' in results) {
+        return callback(null, results.ffmpegVersion);
+      }
+
+      readVersion(ffmpegPath, signal, function (err, version) {
+        if (err) {
+          return callback(err);
+        }
+
+        results.ffmpegVersion = version;
+        saveCapabilityCache(ffmpegPath);
+        callback(null, version);
+      });
+    });
+  };
+
+  /**
+   * Query ffprobe version and build configuration
+   *
+   * @method FfmpegCommand#ffprobeVersion
+   * @category Capabilities
+   *
+   * @param {FfmpegCommand~versionCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the version object when no callback is given
+   */
+  proto.ffprobeVersion = function (callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.ffprobeVersion.bind(this));
+    }
+
+    var signal = this.options.signal;
+
+    this._getFfprobePath(function (err, command) {
+      if (err) {
+        return callback(err);
+      }
+      if (!command) {
+        return callback(new errors.BinaryNotFoundError('Cannot find ffprobe'));
+      }
+      if (command in ffprobeVersions) {
+        return callback(null, ffprobeVersions[command]);
+      }
+
+      readVersion(command, signal, function (err, version) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, ffprobeVersions[command] = version);
+      });
+    });
   };
 
 
@@ -326,25 +786,28 @@ module.exports = function (proto) {
    * @category Capabilities
    * @aliases getAvailableFilters
    *
-   * @param {FfmpegCommand~filterCallback} callback callback function
+   * @param {FfmpegCommand~filterCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the filters when no callback is given
    */
   proto.availableFilters =
     proto.getAvailableFilters = function (callback) {
-      if ('filters' in cache) {
-        return callback(null, cache.filters);
+      if (typeof callback !== 'function') {
+        return utils.toPromise(this.availableFilters.bind(this));
       }
 
-      this._getFfmpegPath(function (err, command) {
+      var signal = this.options.signal;
+
+      getCapabilities(this, function (err, ffmpegPath, results) {
         if (err) {
           return callback(err);
         }
-        if (!command) {
-          return callback(new Error('ffmpeg command not found'));
+        if ('filters' in results) {
+          return callback(null, results.filters);
         }
 
-        exec(command + ' -filters', { maxBuffer: 1024 * 1024 }, function (err, stdout, stderr) {
+        exec(ffmpegPath + ' -filters', { maxBuffer: 1024 * 1024, signal: signal }, function (err, stdout, stderr) {
           if (err) {
-            return callback(err);
+            return callback(execError(err));
           }
 
           if (stderr && stderr.length > 0) {
@@ -372,7 +835,8 @@ module.exports = function (proto) {
             }
           });
 
-          cache.filters = filters;
+          results.filters = filters;
+          saveCapabilityCache(ffmpegPath);
           callback(null, filters);
         });
       });
@@ -399,29 +863,32 @@ module.exports = function (proto) {
    * @category Capabilities
    * @aliases getAvailableCodecs
    *
-   * @param {FfmpegCommand~codecCallback} callback callback function
+   * @param {FfmpegCommand~codecCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the codecs when no callback is given
    */
   proto.availableCodecs =
     proto.getAvailableCodecs = function (callback) {
-      if ('codecs' in cache) {
-        return callback(null, cache.codecs);
+      if (typeof callback !== 'function') {
+        return utils.toPromise(this.availableCodecs.bind(this));
       }
 
-      this._getFfmpegPath(function (err, command) {
+      var signal = this.options.signal;
+
+      getCapabilities(this, function (err, ffmpegPath, results) {
         if (err) {
           return callback(err);
         }
-        if (!command) {
-          return callback(new Error('ffmpeg command not found'));
+        if ('codecs' in results) {
+          return callback(null, results.codecs);
         }
 
         // Check if we are using a custom ffmpeg version (like ffplay)
-        var isAvconv = command.indexOf('avconv') !== -1;
-        var isLibav = command.indexOf('libav-tools') !== -1; // Older libav-tools
+        var isAvconv = ffmpegPath.indexOf('avconv') !== -1;
+        var isLibav = ffmpegPath.indexOf('libav-tools') !== -1; // Older libav-tools
 
-        exec(command + ' -codecs', { maxBuffer: 1024 * 1024 }, function (err, stdout, stderr) {
+        exec(ffmpegPath + ' -codecs', { maxBuffer: 1024 * 1024, signal: signal }, function (err, stdout, stderr) {
           if (err) {
-            return callback(err);
+            return callback(execError(err));
           }
 
           if (stderr && stderr.length > 0) {
@@ -471,7 +938,8 @@ module.exports = function (proto) {
             }
           });
 
-          cache.codecs = codecs;
+          results.codecs = codecs;
+          saveCapabilityCache(ffmpegPath);
           callback(null, codecs);
         });
       });
@@ -501,25 +969,28 @@ module.exports = function (proto) {
    * @category Capabilities
    * @aliases getAvailableEncoders
    *
-   * @param {FfmpegCommand~encodersCallback} callback callback function
+   * @param {FfmpegCommand~encodersCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the encoders when no callback is given
    */
   proto.availableEncoders =
     proto.getAvailableEncoders = function (callback) {
-      if ('encoders' in cache) {
-        return callback(null, cache.encoders);
+      if (typeof callback !== 'function') {
+        return utils.toPromise(this.availableEncoders.bind(this));
       }
 
-      this._getFfmpegPath(function (err, command) {
+      var signal = this.options.signal;
+
+      getCapabilities(this, function (err, ffmpegPath, results) {
         if (err) {
           return callback(err);
         }
-        if (!command) {
-          return callback(new Error('ffmpeg command not found'));
+        if ('encoders' in results) {
+          return callback(null, results.encoders);
         }
 
-        exec(command + ' -encoders', { maxBuffer: 1024 * 1024 }, function (err, stdout, stderr) {
+        exec(ffmpegPath + ' -encoders', { maxBuffer: 1024 * 1024, signal: signal }, function (err, stdout, stderr) {
           if (err) {
-            return callback(err);
+            return callback(execError(err));
           }
 
           if (stderr && stderr.length > 0) {
@@ -532,28 +1003,10 @@ module.exports = function (proto) {
             }
           }
 
-          var lines = stdout.toString().split(lineBreakRegexp);
-          var encoders = {};
-          lines.forEach(function (line) {
-            var match = line.match(encodersRegexp);
-            if (match) {
-              encoders[match[7]] = {
-                type: {
-                  'V': 'video',
-                  'A': 'audio',
-                  'S': 'subtitle'
-                }[match[1]],
-                description: match[8],
-                frameMT: match[2] === 'F',
-                sliceMT: match[3] === 'S',
-                experimental: match[4] === 'X',
-                drawHorizBand: match[5] === 'B',
-                directRendering: match[6] === 'D'
-              };
-            }
-          });
+          var encoders = parseCoders(stdout.toString().split(lineBreakRegexp));
 
-          cache.encoders = encoders;
+          results.encoders = encoders;
+          saveCapabilityCache(ffmpegPath);
           callback(null, encoders);
         });
       });
@@ -579,25 +1032,28 @@ module.exports = function (proto) {
    * @category Capabilities
    * @aliases getAvailableFormats
    *
-   * @param {FfmpegCommand~formatCallback} callback callback function
+   * @param {FfmpegCommand~formatCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the formats when no callback is given
    */
   proto.availableFormats =
     proto.getAvailableFormats = function (callback) {
-      if ('formats' in cache) {
-        return callback(null, cache.formats);
+      if (typeof callback !== 'function') {
+        return utils.toPromise(this.availableFormats.bind(this));
       }
 
-      this._getFfmpegPath(function (err, command) {
+      var signal = this.options.signal;
+
+      getCapabilities(this, function (err, ffmpegPath, results) {
         if (err) {
           return callback(err);
         }
-        if (!command) {
-          return callback(new Error('ffmpeg command not found'));
+        if ('formats' in results) {
+          return callback(null, results.formats);
         }
 
-        exec(command + ' -formats', { maxBuffer: 1024 * 1024 }, function (err, stdout, stderr) {
+        exec(ffmpegPath + ' -formats', { maxBuffer: 1024 * 1024, signal: signal }, function (err, stdout, stderr) {
           if (err) {
-            return callback(err);
+            return callback(execError(err));
           }
 
           if (stderr && stderr.length > 0) {
@@ -623,17 +1079,667 @@ module.exports = function (proto) {
             }
           });
 
-          cache.formats = formats;
+          results.formats = formats;
+          saveCapabilityCache(ffmpegPath);
           callback(null, formats);
         });
       });
     };
 
 
+  /**
+   * Run ffmpeg with a capability query flag, parse its output and cache the result
+   *
+   * @param {FfmpegCommand} command command used to find ffmpeg
+   * @param {String} key cache key
+   * @param {String} flag query flag, eg. '-pix_fmts'
+   * @param {Function} parse function parsing output lines into the result
+   * @param {Function} callback callback with signature (err, result)
+   * @private
+   */
+  function queryCapability(command, key, flag, parse, callback) {
+    var signal = command.options.signal;
+
+    getCapabilities(command, function (err, ffmpegPath, results) {
+      if (err) {
+        return callback(err);
+      }
+      if (key in results) {
+        return callback(null, results[key]);
+      }
+
+      exec(ffmpegPath + ' -hide_banner ' + flag, { maxBuffer: 1024 * 1024, signal: signal }, function (err, stdout, stderr) {
+        if (err) {
+          return callback(execError(err));
+        }
+
+        if (stderr && stderr.length > 0) {
+          // Keep only the last line
+          var lastLine = stderr.split(lineBreakRegexp).pop();
+
+          // Ignore lines that look like warnings
+          if (lastLine && lastLine.length > 0 && lastLine.indexOf('Warning') !== 0 && lastLine.indexOf('NOTE:') !== 0) {
+            return callback(new Error('ffmpeg returned error: ' + lastLine));
+          }
+        }
+
+        results[key] = parse(stdout.toString().split(lineBreakRegexp));
+        saveCapabilityCache(ffmpegPath);
+        callback(null, results[key]);
+      });
+    });
+  }
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableDecoders}.
+   *
+   * @callback FfmpegCommand~decodersCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} decoders decoders object with decoder names as keys and the same
+   *   properties as encoders, see {@link FfmpegCommand~encodersCallback}
+   */
+
+  /**
+   * Query ffmpeg for available decoders
+   *
+   * @method FfmpegCommand#availableDecoders
+   * @category Capabilities
+   *
+   * @param {FfmpegCommand~decodersCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the decoders when no callback is given
+   */
+  proto.availableDecoders = function (callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.availableDecoders.bind(this));
+    }
+
+    queryCapability(this, 'decoders', '-decoders', parseCoders, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availablePixelFormats}.
+   *
+   * @callback FfmpegCommand~pixelFormatsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} pixelFormats pixel format object with pixel format names as keys and
+   *   the following properties for each pixel format:
+   * @param {Boolean} pixelFormats.input whether the pixel format is supported as conversion input
+   * @param {Boolean} pixelFormats.output whether the pixel format is supported as conversion output
+   * @param {Boolean} pixelFormats.hardware whether the pixel format is hardware accelerated
+   * @param {Boolean} pixelFormats.paletted whether the pixel format is paletted
+   * @param {Boolean} pixelFormats.bitstream whether the pixel format is a bitstream format
+   * @param {Number} pixelFormats.components number of components
+   * @param {Number} pixelFormats.bitsPerPixel bits per pixel
+   */
+
+  /**
+   * Query ffmpeg for available pixel formats
+   *
+   * @method FfmpegCommand#availablePixelFormats
+   * @category Capabilities
+   *
+   * @param {FfmpegCommand~pixelFormatsCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the pixel formats when no callback is given
+   */
+  proto.availablePixelFormats = function (callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.availablePixelFormats.bind(this));
+    }
+
+    queryCapability(this, 'pixelFormats', '-pix_fmts', function (lines) {
+      var pixelFormats = {};
+
+      lines.forEach(function (line) {
+        var match = line.match(pixelFormatRegexp);
+        if (match) {
+          pixelFormats[match[6]] = {
+            input: match[1] === 'I',
+            output: match[2] === 'O',
+            hardware: match[3] === 'H',
+            paletted: match[4] === 'P',
+            bitstream: match[5] === 'B',
+            components: Number(match[7]),
+            bitsPerPixel: Number(match[8])
+          };
+        }
+      });
+
+      return pixelFormats;
+    }, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableSampleFormats}.
+   *
+   * @callback FfmpegCommand~sampleFormatsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} sampleFormats sample format object with sample format names as keys and
+   *   the following properties for each sample format:
+   * @param {Number} sampleFormats.depth sample depth in bits
+   */
+
+  /**
+   * Query ffmpeg for available sample formats
+   *
+   * @method FfmpegCommand#availableSampleFormats
+   * @category Capabilities
+   *
+   * @param {FfmpegCommand~sampleFormatsCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the sample formats when no callback is given
+   */
+  proto.availableSampleFormats = function (callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.availableSampleFormats.bind(this));
+    }
+
+    queryCapability(this, 'sampleFormats', '-sample_fmts', function (lines) {
+      var sampleFormats = {};
+
+      lines.forEach(function (line) {
+        var match = line.match(sampleFormatRegexp);
+        if (match) {
+          sampleFormats[match[1]] = {
+            depth: Number(match[2])
+          };
+        }
+      });
+
+      return sampleFormats;
+    }, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableLayouts}.
+   *
+   * @callback FfmpegCommand~layoutsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} layouts layouts object with the following properties:
+   * @param {Object} layouts.channels individual channels, with channel names (eg. 'FL') as keys
+   *   and objects with a 'description' property as values
+   * @param {Object} layouts.layouts standard channel layouts, with layout names (eg. 'stereo')
+   *   as keys and objects with a 'channels' property (array of channel names) as values
+   */
+
+  /**
+   * Query ffmpeg for available channels and standard channel layouts
+   *
+   * @method FfmpegCommand#availableLayouts
+   * @category Capabilities
+   *
+   * @param {FfmpegCommand~layoutsCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the channels and layouts when no callback is given
+   */
+  proto.availableLayouts = function (callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.availableLayouts.bind(this));
+    }
+
+    queryCapability(this, 'layouts', '-layouts', function (lines) {
+      var layouts = { channels: {}, layouts: {} };
+      var section = null;
+
+      lines.forEach(function (line) {
+        if (line.indexOf('Individual channels') === 0) {
+          section = 'channels';
+        } else if (line.indexOf('Standard channel layouts') === 0) {
+          section = 'layouts';
+        } else if (section) {
+          var match = line.match(layoutRegexp);
+
+          // Skip column headers
+          if (!match || match[1] === 'NAME') {
+            return;
+          }
+
+          if (section === 'channels') {
+            layouts.channels[match[1]] = { description: match[2].trim() };
+          } else {
+            layouts.layouts[match[1]] = { channels: match[2].trim().split('+') };
+          }
+        }
+      });
+
+      return layouts;
+    }, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableProtocols}.
+   *
+   * @callback FfmpegCommand~protocolsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} protocols protocol object with protocol names as keys and the following
+   *   properties for each protocol:
+   * @param {Boolean} protocols.input whether the protocol can be used for inputs
+   * @param {Boolean} protocols.output whether the protocol can be used for outputs
+   */
+
+  /**
+   * Query ffmpeg for available protocols
+   *
+   * @method FfmpegCommand#availableProtocols
+   * @category Capabilities
+   *
+   * @param {FfmpegCommand~protocolsCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the protocols when no callback is given
+   */
+  proto.availableProtocols = function (callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.availableProtocols.bind(this));
+    }
+
+    queryCapability(this, 'protocols', '-protocols', function (lines) {
+      var protocols = {};
+      var direction = null;
+
+      lines.forEach(function (line) {
+        if (line === 'Input:') {
+          direction = 'input';
+        } else if (line === 'Output:') {
+          direction = 'output';
+        } else if (direction && line.match(/^\s+\S+$/)) {
+          var name = line.trim();
+
+          protocols[name] = protocols[name] || { input: false, output: false };
+          protocols[name][direction] = true;
+        }
+      });
+
+      return protocols;
+    }, callback);
+  };
+
+
+  /**
+   * Query ffmpeg for available bitstream filters
+   *
+   * @method FfmpegCommand#availableBitstreamFilters
+   * @category Capabilities
+   *
+   * @param {Function} [callback] callback function with signature (err, bitstreamFilters),
+   *   bitstreamFilters being an array of bitstream filter names
+   * @return {Promise|undefined} promise resolving to the bitstream filter names when no callback is given
+   */
+  proto.availableBitstreamFilters = function (callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.availableBitstreamFilters.bind(this));
+    }
+
+    queryCapability(this, 'bitstreamFilters', '-bsfs', function (lines) {
+      return lines.filter(function (line) {
+        return line.match(/^\S+$/) && !line.match(/:$/);
+      });
+    }, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#encoderOptions}, {@link FfmpegCommand#filterOptions}
+   * and {@link FfmpegCommand#muxerOptions}.
+   *
+   * @callback FfmpegCommand~optionsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} help help object with the following properties:
+   * @param {String} help.name encoder, filter or muxer name
+   * @param {String} help.description encoder, filter or muxer description
+   * @param {Object} help.options option object with option names as keys and the following
+   *   properties for each option:
+   * @param {String} help.options.type option type, eg. 'int', 'float', 'string', 'boolean' or 'flags'
+   * @param {String} help.options.flags AVOption flags as printed by ffmpeg, eg. 'E..V.....'
+   * @param {String} help.options.description option description
+   * @param {Number} [help.options.min] minimum value, when the option has a range
+   * @param {Number} [help.options.max] maximum value, when the option has a range
+   * @param {String|Number|Boolean} [help.options.default] default value, when ffmpeg reports one
+   * @param {Object[]} help.options.values allowed named values, each with 'name' and 'description'
+   *   properties, and a 'value' property when ffmpeg reports the constant value
+   * @param {String[]} [help.pixelFormats] pixel formats supported by an encoder, when ffmpeg lists them
+   * @param {String[]} [help.sampleFormats] sample formats supported by an encoder, when ffmpeg lists them
+   * @param {Number[]} [help.sampleRates] sample rates supported by an encoder, when ffmpeg lists them
+   * @param {String[]} [help.channelLayouts] channel layouts supported by an encoder, when ffmpeg lists them
+   */
+
+  /**
+   * Query ffmpeg help for an encoder, filter or muxer and cache the result
+   *
+   * @param {FfmpegCommand} command command used to find ffmpeg
+   * @param {String} topic help topic, one of 'encoder', 'filter' and 'muxer'
+   * @param {String} name encoder, filter or muxer name
+   * @param {FfmpegCommand~optionsCallback} callback callback function
+   * @private
+   */
+  function queryHelp(command, topic, name, callback) {
+    var label = topic.charAt(0).toUpperCase() + topic.substr(1);
+
+    // Names are passed to a shell, only accept what ffmpeg would
+    if (typeof name !== 'string' || !name.match(/^[\w.-]+$/)) {
+      return callback(new errors.CapabilityError(label + ' ' + name + ' is not available'));
+    }
+
+    var signal = command.options.signal;
+
+    getCapabilities(command, function (err, ffmpegPath, results) {
+      if (err) {
+        return callback(err);
+      }
+
+      var topicCache = results[topic + 'Options'] = results[topic + 'Options'] || {};
+
+      if (name in topicCache) {
+        return callback(null, topicCache[name]);
+      }
+
+      exec(ffmpegPath + ' -hide_banner -h ' + topic + '=' + name, { maxBuffer: 1024 * 1024, signal: signal }, function (err, stdout) {
+        if (err) {
+          return callback(execError(err));
+        }
+
+        // ffmpeg prints a message and exits normally for unknown names
+        var help = utils.parseHelp(stdout.toString());
+
+        if (!help || help.name !== name) {
+          return callback(new errors.CapabilityError(label + ' ' + name + ' is not available'));
+        }
+
+        topicCache[name] = help;
+        saveCapabilityCache(ffmpegPath);
+        callback(null, help);
+      });
+    });
+  }
+
+  /**
+   * Check whether an encoder output can be muxed into an output format and cache the result
+   *
+   * ffmpeg does not list the codecs muxers accept, so this encodes a single
+   * generated frame into a temporary directory and checks whether the muxer
+   * rejects the stream when writing the file header.  Other failures (eg.
+   * hardware encoders without the hardware) are not reported.
+   *
+   * @param {FfmpegCommand} command command used to find ffmpeg
+   * @param {String} type encoder type, either 'audio' or 'video'
+   * @param {String} encoder encoder name
+   * @param {String} [format] output format name, the format is guessed from 'extension' when missing
+   * @param {String} [extension] output file extension
+   * @param {Function} callback callback with signature (err, lines), 'lines' being the
+   *   muxer error lines when the encoder output cannot be muxed, or null
+   * @private
+   */
+  function queryMuxing(command, type, encoder, format, extension, callback) {
+    var key = (format || '.' + extension) + ' ' + encoder;
+
+    getCapabilities(command, function (err, ffmpegPath, results) {
+      if (err) {
+        return callback(err);
+      }
+
+      var muxing = results.muxing = results.muxing || {};
+
+      if (key in muxing) {
+        return callback(null, muxing[key]);
+      }
+
+      fs.mkdtemp(path.join(os.tmpdir(), 'fluent-ffmpeg-'), function (err, dir) {
+        if (err) {
+          return callback(null, null);
+        }
+
+        var stream = type === 'audio' ? 'a' : 'v';
+        var args = [
+          '-hide_banner', '-nostdin', '-loglevel', 'error', '-f', 'lavfi', '-i', type === 'audio' ? 'anullsrc' : 'color',
+          '-frames:' + stream, '1', '-c:' + stream, encoder, '-strict', 'experimental'
+        ];
+
+        if (format) {
+          args.push('-f', format);
+        }
+
+        args.push('-y', path.join(dir, 'muxing' + (format ? '' : '.' + extension)));
+
+        var options = { maxBuffer: 1024 * 1024, timeout: MUXING_CHECK_TIMEOUT, signal: command.options.signal };
+
+        execFile(ffmpegPath, args, options, function (err, stdout, stderr) {
+          // The muxer rejected the stream when ffmpeg could not write the header
+          var rejected = err && !err.killed && stderr.match(/Could not write header/);
+          var lines = rejected ? stderr.split(lineBreakRegexp).filter(function (line) { return line.length > 0; }) : null;
+
+          // Segmenting muxers may have written files next to the output
+          fs.rm(dir, { recursive: true, force: true }, function () {
+            if (err && err.name === 'AbortError') {
+              return callback(err);
+            }
+
+            muxing[key] = lines;
+            saveCapabilityCache(ffmpegPath);
+            callback(null, lines);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Query ffmpeg for the options of an encoder
+   *
+   * @example
+   *   ffmpeg().encoderOptions('libx264', function(err, help) {
+   *     var crf = help.options.crf;
+   *     console.log('crf ranges from ' + crf.min + ' to ' + crf.max);
+   *   });
+   *
+   * @method FfmpegCommand#encoderOptions
+   * @category Capabilities
+   *
+   * @param {String} name encoder name, eg. 'libx264'
+   * @param {FfmpegCommand~optionsCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the help object when no callback is given
+   */
+  proto.encoderOptions = function (name, callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.encoderOptions.bind(this, name));
+    }
+
+    queryHelp(this, 'encoder', name, callback);
+  };
+
+  /**
+   * Query ffmpeg for the options of a filter
+   *
+   * @method FfmpegCommand#filterOptions
+   * @category Capabilities
+   *
+   * @param {String} name filter name, eg. 'scale'
+   * @param {FfmpegCommand~optionsCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the help object when no callback is given
+   */
+  proto.filterOptions = function (name, callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.filterOptions.bind(this, name));
+    }
+
+    queryHelp(this, 'filter', name, callback);
+  };
+
+  /**
+   * Query ffmpeg for the options of a muxer (output format)
+   *
+   * @method FfmpegCommand#muxerOptions
+   * @category Capabilities
+   *
+   * @param {String} name muxer name, eg. 'mp4'
+   * @param {FfmpegCommand~optionsCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the help object when no callback is given
+   */
+  proto.muxerOptions = function (name, callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.muxerOptions.bind(this, name));
+    }
+
+    queryHelp(this, 'muxer', name, callback);
+  };
+
+
+  /**
+   * Set the capability cache file
+   *
+   * When set, capability query results (available filters, codecs, encoders,
+   * formats..., ffmpeg version and encoder, filter and muxer options) are stored
+   * in this file, and read from it instead of running ffmpeg again, for example
+   * in other processes.  Results are stored for each ffmpeg binary path and are
+   * ignored when the binary modification time, size or version changes.
+   *
+   * @method FfmpegCommand#setCapabilityCachePath
+   * @category Capabilities
+   *
+   * @param {String|null} file cache file path, or null to disable the cache file
+   * @return FfmpegCommand
+   */
+  proto.setCapabilityCachePath = function (file) {
+    cache.capabilityCachePath = file || null;
+    capabilityCacheLoaded = {};
+    return this;
+  };
+
+  /**
+   * Get the ffmpeg binary path of a command and its capability query results
+   *
+   * Results are read from the capability cache file the first time a binary is used.
+   *
+   * @param {FfmpegCommand} command command used to find ffmpeg
+   * @param {Function} callback callback with signature (err, ffmpegPath, results)
+   * @private
+   */
+  function getCapabilities(command, callback) {
+    command._getFfmpegPath(function (err, ffmpegPath) {
+      if (err) {
+        return callback(err);
+      }
+      if (!ffmpegPath) {
+        return callback(new errors.BinaryNotFoundError('ffmpeg command not found'));
+      }
+
+      var results = capabilities[ffmpegPath] = capabilities[ffmpegPath] || {};
+
+      if (!cache.capabilityCachePath || capabilityCacheLoaded[ffmpegPath]) {
+        return callback(null, ffmpegPath, results);
+      }
+
+      loadCapabilityCache(ffmpegPath, command.options.signal, function () {
+        callback(null, ffmpegPath, results);
+      });
+    });
+  }
+
+  /**
+   * Forget capability query results for all ffmpeg binaries
+   *
+   * (only used for testing purposes)
+   *
+   * @method FfmpegCommand#_forgetCapabilities
+   * @private
+   */
+  proto._forgetCapabilities = function () {
+    capabilities = {};
+    ffprobeVersions = {};
+    capabilityCacheLoaded = {};
+  };
+
+  /**
+   * Query all ffmpeg capabilities and store them in the capability cache file
+   *
+   * Capabilities already cached are not queried again.  When no cache file is
+   * set, results are only kept in memory.
+   *
+   * @example
+   *   // At build time or on first start
+   *   ffmpeg.setCapabilityCachePath('/tmp/ffmpeg-capabilities.json');
+   *   ffmpeg.warmCapabilityCache(function(err) {
+   *     // Other processes using the same file won't need to query ffmpeg
+   *   });
+   *
+   * @method FfmpegCommand#warmCapabilityCache
+   * @category Capabilities
+   *
+   * @param {Function} [callback] callback with signature (err, capabilities), capabilities
+   *   being an object with 'filters', 'codecs', 'encoders', 'formats', 'decoders', 'pixelFormats',
+   *   'sampleFormats', 'layouts', 'protocols', 'bitstreamFilters' and 'version' keys
+   * @return {Promise|undefined} promise resolving to the capabilities when no callback is given
+   */
+  proto.warmCapabilityCache = function (callback) {
+    var self = this;
+
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.warmCapabilityCache.bind(this));
+    }
+
+    async.parallel({
+      filters: this.availableFilters.bind(this),
+      codecs: this.availableCodecs.bind(this),
+      encoders: this.availableEncoders.bind(this),
+      formats: this.availableFormats.bind(this),
+      decoders: this.availableDecoders.bind(this),
+      pixelFormats: this.availablePixelFormats.bind(this),
+      sampleFormats: this.availableSampleFormats.bind(this),
+      layouts: this.availableLayouts.bind(this),
+      protocols: this.availableProtocols.bind(this),
+      bitstreamFilters: this.availableBitstreamFilters.bind(this),
+      version: this.ffmpegVersion.bind(this)
+    }, function (err, results) {
+      if (err) {
+        return callback(err);
+      }
+
+      self._getFfmpegPath(function (err, ffmpegPath) {
+        if (err) {
+          return callback(err);
+        }
+
+        saveCapabilityCache(ffmpegPath, function (err) {
+          callback(err, err ? undefined : results);
+        });
+      });
+    });
+  };
+
+  /**
+   * Forget capability query results and remove the capability cache file
+   *
+   * Results are forgotten for all ffmpeg binaries, and queried from ffmpeg again
+   * the next time they are needed.
+   *
+   * @method FfmpegCommand#invalidateCapabilityCache
+   * @category Capabilities
+   *
+   * @param {Function} [callback] callback with signature (err)
+   * @return {Promise|undefined} promise resolving when the cache file is removed when no callback is given
+   */
+  proto.invalidateCapabilityCache = function (callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.invalidateCapabilityCache.bind(this));
+    }
+
+    this._forgetCapabilities();
+
+    if (!cache.capabilityCachePath) {
+      return callback(null);
+    }
+
+    fs.unlink(cache.capabilityCachePath, function (err) {
+      callback(err && err.code !== 'ENOENT' ? err : null);
+    });
+  };
+
+
   /**
    * Check capabilities before executing a command
    *
-   * Checks whether all used codecs and formats are indeed available
+   * Checks whether all used codecs, formats and filters are indeed available,
+   * whether codecs can be muxed into output formats and whether video encoders
+   * support the requested pixel formats
    *
    * @method FfmpegCommand#_checkCapabilities
    * @param {Function} callback callback with signature (err)
@@ -665,9 +1771,9 @@ module.exports = function (proto) {
           }, []);
 
         if (unavailable.length === 1) {
-          return cb(new Error('Output format ' + unavailable[0] + ' is not available'));
+          return cb(new errors.CapabilityError('Output format ' + unavailable[0] + ' is not available'));
         } else if (unavailable.length > 1) {
-          return cb(new Error('Output formats ' + unavailable.join(', ') + ' are not available'));
+          return cb(new errors.CapabilityError('Output formats ' + unavailable.join(', ') + ' are not available'));
         }
 
         // Input format(s)
@@ -684,9 +1790,9 @@ module.exports = function (proto) {
           }, []);
 
         if (unavailable.length === 1) {
-          return cb(new Error('Input format ' + unavailable[0] + ' is not available'));
+          return cb(new errors.CapabilityError('Input format ' + unavailable[0] + ' is not available'));
         } else if (unavailable.length > 1) {
-          return cb(new Error('Input formats ' + unavailable.join(', ') + ' are not available'));
+          return cb(new errors.CapabilityError('Input formats ' + unavailable.join(', ') + ' are not available'));
         }
 
         cb();
@@ -714,9 +1820,9 @@ module.exports = function (proto) {
         }, []);
 
         if (unavailable.length === 1) {
-          return cb(new Error('Audio codec ' + unavailable[0] + ' is not available'));
+          return cb(new errors.CapabilityError('Audio codec ' + unavailable[0] + ' is not available'));
         } else if (unavailable.length > 1) {
-          return cb(new Error('Audio codecs ' + unavailable.join(', ') + ' are not available'));
+          return cb(new errors.CapabilityError('Audio codecs ' + unavailable.join(', ') + ' are not available'));
         }
 
         // Video codec(s)
@@ -732,12 +1838,130 @@ module.exports = function (proto) {
         }, []);
 
         if (unavailable.length === 1) {
-          return cb(new Error('Video codec ' + unavailable[0] + ' is not available'));
+          return cb(new errors.CapabilityError('Video codec ' + unavailable[0] + ' is not available'));
         } else if (unavailable.length > 1) {
-          return cb(new Error('Video codecs ' + unavailable.join(', ') + ' are not available'));
+          return cb(new errors.CapabilityError('Video codecs ' + unavailable.join(', ') + ' are not available'));
         }
 
         cb();
+      },
+
+      // Check whether codecs can be muxed into output formats
+      function (cb) {
+        self.availableFormats(function (err, formats) {
+          // Muxing checks encode frames generated with lavfi
+          if (err || !('lavfi' in formats) || !formats.lavfi.canDemux) {
+            return cb(err);
+          }
+
+          async.eachOfSeries(self._outputs, function (output, index, next) {
+            var format = output.options.find('-f', 1);
+            var extension = output.isFile ? path.extname(output.target).substr(1).toLowerCase() : '';
+
+            if (!format && !extension) {
+              return next();
+            }
+
+            async.eachSeries([['Audio', output.audio.find('-acodec', 1)], ['Video', output.video.find('-vcodec', 1)]], function (spec, done) {
+              var codec = spec[1] && spec[1][0];
+
+              if (!codec || codec === 'copy') {
+                return done();
+              }
+
+              queryMuxing(self, spec[0].toLowerCase(), codec, format && format[0], extension, function (err, lines) {
+                if (err || !lines) {
+                  return done(err);
+                }
+
+                done(new errors.CapabilityError(
+                  spec[0] + ' codec ' + codec + ' cannot be muxed into ' + (format ? 'format ' + format[0] : extension + ' files') + ' for output #' + index,
+                  { stderrLines: lines }
+                ));
+              });
+            }, next);
+          }, cb);
+        });
+      },
+
+      // Check whether filters are available
+      function (cb) {
+        var complexFilters = self._complexFilters.find('-filter_complex', 1);
+        var outputFilters = self._outputs.map(function (output) {
+          return {
+            audio: utils.filterNames(output.audioFilters.get().join(',')),
+            video: utils.filterNames(output.videoFilters.get().concat(utils.makeFilterStrings(output.sizeFilters.get())).join(','))
+          };
+        });
+
+        var used = outputFilters.some(function (filters) {
+          return filters.audio.length || filters.video.length;
+        });
+
+        if (!complexFilters && !used) {
+          return cb();
+        }
+
+        self.availableFilters(function (err, filters) {
+          if (err) {
+            return cb(err);
+          }
+
+          function unavailable(names) {
+            return names.filter(function (name) {
+              return !(name in filters);
+            });
+          }
+
+          var missing = complexFilters ? unavailable(utils.filterNames(complexFilters[0])) : [];
+
+          if (missing.length) {
+            return cb(new errors.CapabilityError('Filter ' + missing[0] + ' is not available in complex filtergraph'));
+          }
+
+          for (var index = 0; index < outputFilters.length; index++) {
+            missing = unavailable(outputFilters[index].audio);
+
+            if (missing.length) {
+              return cb(new errors.CapabilityError('Audio filter ' + missing[0] + ' is not available for output #' + index));
+            }
+
+            missing = unavailable(outputFilters[index].video);
+
+            if (missing.length) {
+              return cb(new errors.CapabilityError('Video filter ' + missing[0] + ' is not available for output #' + index));
+            }
+          }
+
+          cb();
+        });
+      },
+
+      // Check whether encoders support requested pixel formats
+      function (cb) {
+        async.eachOfSeries(self._outputs, function (output, index, next) {
+          var vcodec = output.video.find('-vcodec', 1);
+          var pixelFormat = output.options.find('-pix_fmt', 1) || output.video.find('-pix_fmt', 1);
+
+          if (!vcodec || vcodec[0] === 'copy' || !pixelFormat) {
+            return next();
+          }
+
+          self.encoderOptions(vcodec[0], function (err, help) {
+            if (err) {
+              return next(err);
+            }
+
+            // A leading '+' only disables automatic pixel format negotiation
+            var name = pixelFormat[0].replace(/^\+/, '');
+
+            if (help.pixelFormats && help.pixelFormats.indexOf(name) === -1) {
+              return next(new errors.CapabilityError('Pixel format ' + name + ' is not supported by encoder ' + vcodec[0] + ' for output #' + index));
+            }
+
+            next();
+          });
+        }, cb);
       }
     ], callback);
   };
@@ -748,11 +1972,16 @@ module.exports = function (proto) {
    * Checks whether all used codecs and formats are indeed available
    *
    * @method FfmpegCommand#checkCapabilities
-   * @param {Function} callback callback with signature (err, capabilities)
+   * @param {Function} [callback] callback with signature (err, capabilities)
+   * @return {Promise|undefined} promise resolving to the capabilities when no callback is given
    */
   proto.checkCapabilities = function (callback) {
     var self = this;
 
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.checkCapabilities.bind(this));
+    }
+
     async.parallel({
       filters: this.availableFilters.bind(this),
       codecs: this.availableCodecs.bind(this),
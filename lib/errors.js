@@ -0,0 +1,259 @@
+/*jshint node:true*/
+'use strict';
+
+var util = require('util');
+var utils = require('./utils');
+
+/*
+ *! Error classes
+ */
+
+// ffmpeg/ffprobe output lines telling that an input could not be opened
+var inputErrorRegexp = /Error opening input|Invalid data found when processing input/i;
+
+// ffmpeg output lines telling that an encoder or decoder failed or is missing
+var codecErrorRegexp = new RegExp([
+  'Unknown (?:en|de)coder', '(?:En|De)coder (?:\\(codec [^)]*\\) )?not found', 'Error while opening (?:en|de)coder',
+  'Error initializing output stream', 'Error selecting an encoder', 'Automatic encoder selection failed',
+  'Error while (?:en|de)coding', 'Could not open (?:en|de)coder'
+].join('|'), 'i');
+
+
+/**
+ * Base class of fluent-ffmpeg errors
+ *
+ * Errors emitted by commands, probes and capability queries are instances of
+ * one of its subclasses, each with its own error code:
+ * - {@link FfmpegCommand.SpawnError} (`ERR_FFMPEG_SPAWN`): ffmpeg or ffprobe could not be spawned
+ * - {@link FfmpegCommand.BinaryNotFoundError} (`ERR_FFMPEG_NOT_FOUND`): ffmpeg or ffprobe binary not found
+ * - {@link FfmpegCommand.CapabilityError} (`ERR_FFMPEG_CAPABILITY`): format, codec, filter... not available
+ * - {@link FfmpegCommand.InputError} (`ERR_FFMPEG_INPUT`): an input could not be opened or read
+ * - {@link FfmpegCommand.CodecError} (`ERR_FFMPEG_CODEC`): an encoder or decoder is missing or failed
+ * - {@link FfmpegCommand.OutputStreamError} (`ERR_FFMPEG_OUTPUT_STREAM`): an output stream was closed or failed
+ * - {@link FfmpegCommand.TimeoutError} (`ERR_FFMPEG_TIMEOUT`): processing ran into the command timeout
+ * - {@link FfmpegCommand.KilledError} (`ERR_FFMPEG_KILLED`): the process was killed by a signal
+ * - {@link FfmpegCommand.ProcessError} (`ERR_FFMPEG_EXIT`): the process failed for another reason
+ *
+ * Cancelling with an AbortSignal still fails with an 'AbortError' error.
+ *
+ * @example
+ *   ffmpeg('/path/to/file.avi')
+ *     .on('error', function(err) {
+ *       if (err.code === 'ERR_FFMPEG_INPUT') {
+ *         console.log('Cannot read input: ' + err.stderrLines.join('\n'));
+ *       }
+ *     })
+ *     .save('/path/to/file.mp4');
+ *
+ * @constructor
+ * @param {String} message error message
+ * @param {Object} [details] error details
+ * @param {Number} [details.exitCode] process exit code
+ * @param {String} [details.signal] signal that killed the process
+ * @param {String[]} [details.args] process argument list
+ * @param {String[]} [details.stderrLines] relevant process output lines
+ * @param {Error} [details.cause] underlying error
+ */
+function FfmpegError(message, details) {
+  Error.call(this);
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+
+  details = details || {};
+
+  this.message = message;
+  this.exitCode = typeof details.exitCode === 'number' ? details.exitCode : null;
+  this.signal = details.signal || null;
+  this.args = details.args || null;
+  this.stderrLines = details.stderrLines || [];
+
+  if (details.cause) {
+    this.cause = details.cause;
+  }
+}
+util.inherits(FfmpegError, Error);
+FfmpegError.prototype.name = 'FfmpegError';
+FfmpegError.prototype.code = 'ERR_FFMPEG';
+exports.FfmpegError = FfmpegError;
+
+
+/**
+ * Define and export an FfmpegError subclass
+ *
+ * @param {String} name error class name
+ * @param {String} code error code
+ * @private
+ */
+function defineError(name, code) {
+  function SubError(message, details) {
+    FfmpegError.call(this, message, details);
+  }
+  util.inherits(SubError, FfmpegError);
+
+  SubError.prototype.name = name;
+  SubError.prototype.code = code;
+
+  exports[name] = SubError;
+}
+
+/**
+ * ffmpeg or ffprobe could not be spawned (code `ERR_FFMPEG_SPAWN`)
+ *
+ * @constructor FfmpegCommand.SpawnError
+ * @extends FfmpegCommand.FfmpegError
+ */
+defineError('SpawnError', 'ERR_FFMPEG_SPAWN');
+
+/**
+ * ffmpeg or ffprobe binary not found (code `ERR_FFMPEG_NOT_FOUND`)
+ *
+ * @constructor FfmpegCommand.BinaryNotFoundError
+ * @extends FfmpegCommand.FfmpegError
+ */
+defineError('BinaryNotFoundError', 'ERR_FFMPEG_NOT_FOUND');
+
+/**
+ * Format, codec, encoder, filter, pixel format or muxer not available (code `ERR_FFMPEG_CAPABILITY`)
+ *
+ * @constructor FfmpegCommand.CapabilityError
+ * @extends FfmpegCommand.FfmpegError
+ */
+defineError('CapabilityError', 'ERR_FFMPEG_CAPABILITY');
+
+/**
+ * Input could not be opened or read (code `ERR_FFMPEG_INPUT`)
+ *
+ * @constructor FfmpegCommand.InputError
+ * @extends FfmpegCommand.FfmpegError
+ */
+defineError('InputError', 'ERR_FFMPEG_INPUT');
+
+/**
+ * Encoder or decoder missing or failed (code `ERR_FFMPEG_CODEC`)
+ *
+ * @constructor FfmpegCommand.CodecError
+ * @extends FfmpegCommand.FfmpegError
+ */
+defineError('CodecError', 'ERR_FFMPEG_CODEC');
+
+/**
+ * Output stream closed before ffmpeg finished, or failed (code `ERR_FFMPEG_OUTPUT_STREAM`)
+ *
+ * @constructor FfmpegCommand.OutputStreamError
+ * @extends FfmpegCommand.FfmpegError
+ */
+defineError('OutputStreamError', 'ERR_FFMPEG_OUTPUT_STREAM');
+
+/**
+ * Processing ran into the command timeout (code `ERR_FFMPEG_TIMEOUT`)
+ *
+ * @constructor FfmpegCommand.TimeoutError
+ * @extends FfmpegCommand.FfmpegError
+ */
+defineError('TimeoutError', 'ERR_FFMPEG_TIMEOUT');
+
+/**
+ * Process killed by a signal (code `ERR_FFMPEG_KILLED`)
+ *
+ * @constructor FfmpegCommand.KilledError
+ * @extends FfmpegCommand.FfmpegError
+ */
+defineError('KilledError', 'ERR_FFMPEG_KILLED');
+
+/**
+ * Process exited with a non-zero code for another reason (code `ERR_FFMPEG_EXIT`)
+ *
+ * @constructor FfmpegCommand.ProcessError
+ * @extends FfmpegCommand.FfmpegError
+ */
+defineError('ProcessError', 'ERR_FFMPEG_EXIT');
+
+
+/**
+ * Get relevant error lines from ffmpeg or ffprobe output
+ *
+ * @param {String} stderr process output
+ * @return {String[]} error lines, see {@link utils.extractError}
+ * @private
+ */
+function stderrLines(stderr) {
+  return utils.extractError(stderr || '').split(/\r\n|\r|\n/).filter(function(line) {
+    return line.length > 0;
+  });
+}
+exports.stderrLines = stderrLines;
+
+
+/**
+ * Create an error for a process that exited with a non-zero code or was killed
+ *
+ * The error class is chosen from the process output: input errors are recognized
+ * from generic ffmpeg messages or from '<input>: <reason>' lines.
+ *
+ * @param {String} binary binary name (ffmpeg or ffprobe)
+ * @param {Object} details process details
+ * @param {Number} [details.exitCode] process exit code
+ * @param {String} [details.signal] signal that killed the process
+ * @param {String[]} [details.args] process argument list
+ * @param {String} [details.stderr] process output
+ * @param {String[]} [details.inputs] input file names or URLs
+ * @return {FfmpegError|null} error, or null when the process exited successfully
+ * @private
+ */
+exports.fromExit = function(binary, details) {
+  var lines = stderrLines(details.stderr);
+  var inputs = details.inputs || [];
+  var errorDetails = {
+    exitCode: details.exitCode,
+    signal: details.signal,
+    args: details.args,
+    stderrLines: lines
+  };
+
+  if (details.signal) {
+    return new exports.KilledError(binary + ' was killed with signal ' + details.signal, errorDetails);
+  } else if (!details.exitCode) {
+    return null;
+  }
+
+  var message = binary + ' exited with code ' + details.exitCode;
+
+  var inputFailed = lines.some(function(line) {
+    var separator = line.lastIndexOf(': ');
+    return inputErrorRegexp.test(line) || (separator !== -1 && inputs.indexOf(line.substr(0, separator)) !== -1);
+  });
+
+  if (inputFailed) {
+    return new exports.InputError(message, errorDetails);
+  }
+
+  if (lines.some(function(line) { return codecErrorRegexp.test(line); })) {
+    return new exports.CodecError(message, errorDetails);
+  }
+
+  return new exports.ProcessError(message, errorDetails);
+};
+
+
+/**
+ * Wrap an error emitted by a child process
+ *
+ * Spawn failures are wrapped in a BinaryNotFoundError (when the binary does not
+ * exist) or a SpawnError; other errors (eg. AbortError) are returned unchanged.
+ *
+ * @param {Error} err child process error
+ * @param {String[]} [args] process argument list
+ * @return {Error} error
+ * @private
+ */
+exports.fromSpawn = function(err, args) {
+  if (!err.syscall || err.syscall.indexOf('spawn') !== 0) {
+    return err;
+  }
+
+  var ErrorClass = err.code === 'ENOENT' ? exports.BinaryNotFoundError : exports.SpawnError;
+
+  return new ErrorClass(err.message, { args: args, cause: err });
+};
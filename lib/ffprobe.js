@@ -2,11 +2,58 @@
 'use strict';
 
 var spawn = require('child_process').spawn;
+var async = require('async');
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var utils = require('./utils');
+var errors = require('./errors');
+var Metadata = require('./metadata');
+
+// Maximum number of items buffered by async iterators before pausing ffprobe output
+var ITERATOR_HIGH_WATER_MARK = 100;
+
+// Probe results shared between commands, by absolute file path
+var probeCache = {};
 
 
 function legacyTag(key) { return key.match(/^TAG:/); }
 function legacyDisposition(key) { return key.match(/^DISPOSITION:/); }
 
+/**
+ * Convert number-like strings to numbers in ffprobe JSON data, except for tag values
+ *
+ * @param {Object|Array} data ffprobe data or part of it, updated in place
+ * @private
+ */
+function typeFfprobeValues(data) {
+  Object.keys(data).forEach(function(key) {
+    var value = data[key];
+
+    if (typeof value === 'string') {
+      if (value.match(/^-?[0-9]+(\.[0-9]+)?$/)) {
+        data[key] = Number(value);
+      }
+    } else if (value && typeof value === 'object' && key !== 'tags') {
+      typeFfprobeValues(value);
+    }
+  });
+}
+
+function parseFfprobeJson(out) {
+  var data = JSON.parse(out);
+
+  data.streams = data.streams || [];
+  data.format = data.format || {};
+  data.chapters = data.chapters || [];
+  data.programs = data.programs || [];
+
+  typeFfprobeValues(data);
+
+  return data;
+}
+
 function parseFfprobeOutput(out) {
   var lines = out.split(/\r\n|\r|\n/);
 
@@ -66,6 +113,533 @@ function parseFfprobeOutput(out) {
 }
 
 
+/**
+ * Format a -read_intervals option value
+ *
+ * @param {String|Object|Array} interval interval string, interval object
+ *   with 'start', 'end', 'duration' or 'frames' keys, or array of intervals
+ * @return {String}
+ * @private
+ */
+function formatReadIntervals(interval) {
+  if (Array.isArray(interval)) {
+    return interval.map(formatReadIntervals).join(',');
+  }
+
+  if (typeof interval !== 'object') {
+    return String(interval);
+  }
+
+  var value = 'start' in interval ? String(interval.start) : '';
+
+  if ('end' in interval) {
+    value += '%' + interval.end;
+  } else if ('duration' in interval) {
+    value += '%+' + interval.duration;
+  } else if ('frames' in interval) {
+    value += '%+#' + interval.frames;
+  }
+
+  return value;
+}
+
+
+/**
+ * Create a parser for ffprobe JSON output listing a single section
+ *
+ * The returned function must be called with successive output chunks; it calls
+ * 'callback' with the JSON text of each item in the section array as soon as
+ * the item is complete, and 'objectCallback' (if any) with the JSON text of
+ * sections that are objects instead of arrays (eg. 'format').
+ *
+ * @param {Function} callback item callback
+ * @param {Function} [objectCallback] object section callback
+ * @return {Function} chunk parser
+ * @private
+ */
+function jsonItemsParser(callback, objectCallback) {
+  var depth = 0;
+  var inString = false;
+  var escaped = false;
+  var pending = null;
+  var pendingObject = false;
+  var containers = [];
+
+  return function(chunk) {
+    var itemStart = pending === null ? -1 : 0;
+
+    for (var i = 0; i < chunk.length; i++) {
+      var c = chunk[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (c === '\\') {
+          escaped = true;
+        } else if (c === '"') {
+          inString = false;
+        }
+      } else if (c === '"') {
+        inString = true;
+      } else if (c === '{' || c === '[') {
+        // Items are objects in the section array, itself in the root object
+        if (c === '{' && ((depth === 2 && containers[1] === '[') || (depth === 1 && objectCallback))) {
+          itemStart = i;
+          pending = '';
+          pendingObject = depth === 1;
+        }
+
+        containers.push(c);
+        depth++;
+      } else if (c === '}' || c === ']') {
+        containers.pop();
+        depth--;
+
+        if (depth === (pendingObject ? 1 : 2) && pending !== null) {
+          var item = pending + chunk.slice(itemStart, i + 1);
+
+          pending = null;
+          itemStart = -1;
+          (pendingObject ? objectCallback : callback)(item);
+        }
+      }
+    }
+
+    if (pending !== null) {
+      pending += chunk.slice(itemStart);
+    }
+  };
+}
+
+
+/**
+ * Frame or packet reader
+ *
+ * Readers are returned by {@link FfmpegCommand#probeFrames} and {@link FfmpegCommand#probePackets}.
+ * They emit a 'frame' or 'packet' event for each item ffprobe outputs, and then
+ * an 'end' event with the number of items read, or an 'error' event.
+ *
+ * Readers are also async iterables; in this case ffprobe output is paused
+ * while iteration lags behind.  Errors are only emitted when the reader has
+ * 'error' listeners, otherwise they reject iterations started afterwards.
+ *
+ * @constructor
+ * @param {String} type item type, either 'frame' or 'packet'
+ * @private
+ */
+function FfprobeReader(type) {
+  EventEmitter.call(this);
+
+  this.type = type;
+  this.count = 0;
+  this.ended = false;
+  this.format = null;
+  this.ffprobeProc = null;
+  this._paused = false;
+  this._killed = false;
+  this._error = null;
+}
+util.inherits(FfprobeReader, EventEmitter);
+
+
+/**
+ * Pause ffprobe output
+ *
+ * @return {FfprobeReader}
+ */
+FfprobeReader.prototype.pause = function() {
+  this._paused = true;
+
+  if (this.ffprobeProc) {
+    this.ffprobeProc.stdout.pause();
+  }
+
+  return this;
+};
+
+
+/**
+ * Resume ffprobe output
+ *
+ * @return {FfprobeReader}
+ */
+FfprobeReader.prototype.resume = function() {
+  this._paused = false;
+
+  if (this.ffprobeProc) {
+    this.ffprobeProc.stdout.resume();
+  }
+
+  return this;
+};
+
+
+/**
+ * Stop reading
+ *
+ * Kills the ffprobe process; the reader then emits 'end' instead of an error.
+ *
+ * @param {String} [signal=SIGKILL] signal name
+ * @return {FfprobeReader}
+ */
+FfprobeReader.prototype.kill = function(signal) {
+  if (!this.ended) {
+    this._killed = true;
+
+    if (this.ffprobeProc) {
+      this.ffprobeProc.kill(signal || 'SIGKILL');
+
+      // Let remaining output drain so that the reader ends
+      this.ffprobeProc.stdout.resume();
+    }
+  }
+
+  return this;
+};
+
+
+/**
+ * Iterate over read items
+ *
+ * Breaking out of the iteration stops reading.
+ *
+ * @return {Object} async iterator
+ */
+FfprobeReader.prototype[Symbol.asyncIterator] = function() {
+  var self = this;
+  var items = [];
+  var pending = null;
+  // The reader may already have failed or ended before iteration began
+  var error = this._error;
+  var done = this.ended;
+
+  function settle() {
+    if (!pending) {
+      return;
+    }
+
+    var promise = pending;
+
+    if (items.length) {
+      pending = null;
+      promise.resolve({ value: items.shift(), done: false });
+    } else if (error) {
+      pending = null;
+      promise.reject(error);
+    } else if (done) {
+      pending = null;
+      promise.resolve({ value: undefined, done: true });
+    }
+  }
+
+  function onItem(item) {
+    items.push(item);
+
+    if (items.length >= ITERATOR_HIGH_WATER_MARK) {
+      self.pause();
+    }
+
+    settle();
+  }
+
+  function onEnd() {
+    done = true;
+    cleanup();
+    settle();
+  }
+
+  function onError(err) {
+    error = err;
+    cleanup();
+    settle();
+  }
+
+  function cleanup() {
+    self.removeListener(self.type, onItem);
+    self.removeListener('end', onEnd);
+    self.removeListener('error', onError);
+  }
+
+  this.on(this.type, onItem)
+    .on('end', onEnd)
+    .on('error', onError);
+
+  return {
+    next: function() {
+      return new Promise(function(resolve, reject) {
+        pending = { resolve: resolve, reject: reject };
+
+        if (self._paused && items.length < ITERATOR_HIGH_WATER_MARK) {
+          self.resume();
+        }
+
+        settle();
+      });
+    },
+
+    return: function() {
+      // Iteration stopped early
+      cleanup();
+      items = [];
+      done = true;
+      self.kill();
+
+      return Promise.resolve({ value: undefined, done: true });
+    }
+  };
+};
+
+
+/**
+ * Spawn ffprobe to read frames or packets
+ *
+ * @param {FfmpegCommand} command command to probe
+ * @param {String} type item type, either 'frame' or 'packet'
+ * @param {Array} args probe method arguments
+ * @return {FfprobeReader}
+ * @private
+ */
+function probeItems(command, type, args) {
+  var reader = new FfprobeReader(type);
+  var index = null, options = {};
+
+  args.forEach(function(arg) {
+    if (typeof arg === 'number') {
+      index = arg;
+    } else if (arg && typeof arg === 'object') {
+      options = arg;
+    }
+  });
+
+  var signal = options.signal || command.options.signal;
+
+  function fail(err) {
+    if (!reader.ended) {
+      reader.ended = true;
+      reader._error = err;
+
+      // Without listeners, the error is kept for iterations started later
+      if (reader.listeners('error').length) {
+        reader.emit('error', err);
+      }
+    }
+  }
+
+  function end() {
+    if (!reader.ended) {
+      reader.ended = true;
+      reader.emit('end', reader.count);
+    }
+  }
+
+  var input = index === null ? command._currentInput : command._inputs[index];
+
+  if (!input) {
+    process.nextTick(fail, new Error(index === null ? 'No input specified' : 'Invalid input index'));
+    return reader;
+  }
+
+  var probeArgs = ['-print_format', 'json=compact=1'];
+
+  // ffprobe ignores -skip_frame when it comes after -read_intervals
+  if (options.keyframesOnly && type === 'frame') {
+    probeArgs.push('-skip_frame', 'nokey');
+  }
+
+  if ('streams' in options) {
+    probeArgs.push('-select_streams', String(options.streams));
+  }
+
+  if ('interval' in options) {
+    probeArgs.push('-read_intervals', formatReadIntervals(options.interval));
+  }
+
+  // options.formatEntries (private) also reads format entries into reader.format
+  if (options.entries || options.formatEntries) {
+    probeArgs.push('-show_entries', type + (options.entries ? '=' + [].concat(options.entries).join(',') : '') +
+      (options.formatEntries ? ':format=' + [].concat(options.formatEntries).join(',') : ''));
+  } else {
+    probeArgs.push('-show_' + type + 's');
+  }
+
+  probeArgs.push(input.isStream ? 'pipe:0' : input.source);
+
+  command._getFfprobePath(function(err, path) {
+    if (err) {
+      return fail(err);
+    } else if (!path) {
+      return fail(new errors.BinaryNotFoundError('Cannot find ffprobe', { args: probeArgs }));
+    } else if (signal && signal.aborted) {
+      return fail(utils.abortError(signal));
+    } else if (reader._killed) {
+      return end();
+    }
+
+    var ffprobe = reader.ffprobeProc = spawn(path, probeArgs, {windowsHide: true, signal: signal});
+    var stderrRing = utils.linesRing(command.options.stdoutLines);
+    var exitCode = null;
+    var exitSignal = null;
+    var processExited = false;
+    var stdoutClosed = false;
+
+    if (reader._paused) {
+      ffprobe.stdout.pause();
+    }
+
+    if (input.isStream) {
+      // Ignore errors on stdin when ffprobe stops reading early
+      ffprobe.stdin.on('error', function(err) {
+        if (['ECONNRESET', 'EPIPE', 'EOF'].indexOf(err.code) >= 0) { return; }
+        fail(err);
+      });
+
+      ffprobe.stdin.on('close', function() {
+        input.source.pause();
+        input.source.unpipe(ffprobe.stdin);
+      });
+
+      input.source.pipe(ffprobe.stdin);
+    }
+
+    function parseJson(json) {
+      try {
+        return JSON.parse(json);
+      } catch(e) {
+        reader.kill();
+        fail(new Error('Invalid ffprobe output: ' + e.message));
+        return null;
+      }
+    }
+
+    var parseOutput = jsonItemsParser(function(json) {
+      if (reader.ended || reader._killed) {
+        return;
+      }
+
+      var item = parseJson(json);
+
+      if (!item) {
+        return;
+      }
+
+      typeFfprobeValues(item);
+      reader.count++;
+      reader.emit(type, item);
+    }, function(json) {
+      var format = parseJson(json);
+
+      if (format) {
+        typeFfprobeValues(format);
+        reader.format = format;
+      }
+    });
+
+    function handleExit() {
+      if (!processExited || !stdoutClosed) {
+        return;
+      }
+
+      if (reader._killed) {
+        return end();
+      }
+
+      stderrRing.close();
+
+      var exitError = errors.fromExit('ffprobe', {
+        exitCode: exitCode,
+        signal: exitSignal,
+        args: probeArgs,
+        stderr: stderrRing.get(),
+        inputs: [input.isStream ? 'pipe:0' : input.source]
+      });
+
+      if (exitError) {
+        exitError.message += '\n' + stderrRing.get();
+        fail(exitError);
+      } else {
+        end();
+      }
+    }
+
+    ffprobe.on('error', function(err) {
+      fail(errors.fromSpawn(err, probeArgs));
+    });
+
+    ffprobe.on('exit', function(code, signal) {
+      processExited = true;
+      exitCode = code;
+      exitSignal = signal;
+      handleExit();
+    });
+
+    ffprobe.stdout.setEncoding('utf8');
+    ffprobe.stdout.on('data', parseOutput);
+
+    ffprobe.stdout.on('close', function() {
+      stdoutClosed = true;
+      handleExit();
+    });
+
+    ffprobe.stderr.on('data', function(data) {
+      stderrRing.append(data);
+    });
+  });
+
+  return reader;
+}
+
+
+
+/**
+ * Get the absolute path of a command input file, for use as a probe cache key
+ *
+ * @param {FfmpegCommand} command
+ * @param {Object} input command input
+ * @return {String|null} absolute path, or null for stream and URL inputs
+ * @private
+ */
+function probeCachePath(command, input) {
+  if (input.isStream || typeof input.source !== 'string' || input.source.match(/^[a-z]{2,}:/i)) {
+    return null;
+  }
+
+  return path.resolve(command.options.cwd || '', input.source);
+}
+
+
+/**
+ * Get the shared probe cache entry for a command input
+ *
+ * Entries are dropped when the input file size or modification time changed
+ * since they were created.
+ *
+ * @param {FfmpegCommand} command
+ * @param {Object} input command input
+ * @param {Function} callback callback with the cache entry, or null when the input cannot be cached
+ * @private
+ */
+function getProbeCacheEntry(command, input, callback) {
+  var file = probeCachePath(command, input);
+
+  if (!file) {
+    return callback(null);
+  }
+
+  fs.stat(file, function(err, stats) {
+    if (err || !stats.isFile()) {
+      return callback(null);
+    }
+
+    var entry = probeCache[file];
+
+    if (!entry || entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs) {
+      entry = probeCache[file] = { size: stats.size, mtimeMs: stats.mtimeMs, results: {} };
+    }
+
+    callback(entry);
+  });
+}
+
 
 module.exports = function(proto) {
   /**
@@ -77,27 +651,53 @@ module.exports = function(proto) {
    * @param {Object} ffprobeData ffprobe output data; this object
    *   has the same format as what the following command returns:
    *
-   *     `ffprobe -print_format json -show_streams -show_format INPUTFILE`
+   *     `ffprobe -print_format json -show_streams -show_format -show_chapters -show_programs INPUTFILE`
+   *
+   *   except that number-like strings are converted to numbers (tag values excepted).
+   *   When using the 'legacy' setting, the object is built from the default ffprobe
+   *   output, and has no 'programs' key.
    * @param {Array} ffprobeData.streams stream information
    * @param {Object} ffprobeData.format format information
+   * @param {Array} ffprobeData.chapters chapter information
+   * @param {Array} ffprobeData.programs program information
    */
 
   /**
    * Run ffprobe on last specified input
    *
+   * Results are memoized for each input of the command.  When the 'probeCache'
+   * command option or the 'cache' setting is enabled, results for input files
+   * are also shared with other commands until the file size or modification
+   * time changes.  Cached data objects are shared and should not be modified.
+   *
    * @method FfmpegCommand#ffprobe
    * @category Metadata
    *
    * @param {?Number} [index] 0-based index of input to probe (defaults to last input)
    * @param {?String[]} [options] array of output options to return
-   * @param {FfmpegCommand~ffprobeCallback} callback callback function
+   * @param {Object} [settings] probe settings
+   * @param {AbortSignal} [settings.signal] signal used to cancel the probe, defaults to the command 'signal' option
+   * @param {Boolean} [settings.legacy=false] parse the default ffprobe output instead of its JSON output,
+   *   as fluent-ffmpeg used to do
+   * @param {Boolean} [settings.cache] use the probe cache shared between commands, defaults to the
+   *   command 'probeCache' option
+   * @param {FfmpegCommand~ffprobeCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the ffprobe data when no callback is given
    *
    */
   proto.ffprobe = function() {
-    var input, index = null, options = [], callback;
+    var self = this;
+    var input, index = null, options = [], settings = {}, callback;
+    var args = [].slice.call(arguments);
 
-    // the last argument should be the callback
-    var callback = arguments[arguments.length - 1];
+    // the last argument should be the callback, return a promise if it is missing
+    if (typeof args[args.length - 1] !== 'function') {
+      return utils.toPromise(function(cb) {
+        self.ffprobe.apply(self, args.concat(cb));
+      });
+    }
+
+    callback = args.pop();
 
     var ended = false
     function handleCallback(err, data) {
@@ -108,19 +708,17 @@ module.exports = function(proto) {
     };
 
     // map the arguments to the correct variable names
-    switch (arguments.length) {
-      case 3:
-        index = arguments[0];
-        options = arguments[1];
-        break;
-      case 2:
-        if (typeof arguments[0] === 'number') {
-          index = arguments[0];
-        } else if (Array.isArray(arguments[0])) {
-          options = arguments[0];
-        }
-        break;
-    }
+    args.forEach(function(arg) {
+      if (typeof arg === 'number') {
+        index = arg;
+      } else if (Array.isArray(arg)) {
+        options = arg;
+      } else if (arg && typeof arg === 'object') {
+        settings = arg;
+      }
+    });
+
+    var signal = settings.signal || this.options.signal;
 
 
     if (index === null) {
@@ -137,131 +735,559 @@ module.exports = function(proto) {
       }
     }
 
-    // Find ffprobe
-    this._getFfprobePath(function(err, path) {
-      if (err) {
-        return handleCallback(err);
-      } else if (!path) {
-        return handleCallback(new Error('Cannot find ffprobe'));
-      }
+    if (signal && signal.aborted) {
+      return handleCallback(utils.abortError(signal));
+    }
+
+    var resultKey = JSON.stringify([options, !!settings.legacy]);
+    var results = input.probeResults = input.probeResults || {};
+    var useCache = 'cache' in settings ? settings.cache : this.options.probeCache;
 
-      var stdout = '';
-      var stdoutClosed = false;
-      var stderr = '';
-      var stderrClosed = false;
+    if (resultKey in results) {
+      return process.nextTick(function() {
+        handleCallback(null, results[resultKey]);
+      });
+    }
 
-      // Spawn ffprobe
-      var src = input.isStream ? 'pipe:0' : input.source;
-      var ffprobe = spawn(path, ['-show_streams', '-show_format'].concat(options, src), {windowsHide: true});
+    if (useCache) {
+      getProbeCacheEntry(this, input, function(entry) {
+        if (entry && resultKey in entry.results) {
+          results[resultKey] = entry.results[resultKey];
+          return handleCallback(null, results[resultKey]);
+        }
 
-      if (input.isStream) {
-        // Skip errors on stdin. These get thrown when ffprobe is complete and
-        // there seems to be no way hook in and close stdin before it throws.
-        ffprobe.stdin.on('error', function(err) {
-          if (['ECONNRESET', 'EPIPE', 'EOF'].indexOf(err.code) >= 0) { return; }
-          handleCallback(err);
-        });
+        runProbe(entry);
+      });
+    } else {
+      runProbe(null);
+    }
 
-        // Once ffprobe's input stream closes, we need no more data from the
-        // input
-        ffprobe.stdin.on('close', function() {
-            input.source.pause();
-            input.source.unpipe(ffprobe.stdin);
-        });
+    function handleData(cacheEntry, data) {
+      results[resultKey] = data;
 
-        input.source.pipe(ffprobe.stdin);
+      if (cacheEntry) {
+        cacheEntry.results[resultKey] = data;
       }
 
-      ffprobe.on('error', function(err) {
-        // If the callback has already been handled by on('exit'), do nothing
-        if (processExited) {
-          return;
-        }
-        handleCallback(err);
-      });
+      handleCallback(null, data);
+    }
 
-      // Ensure we wait for captured streams to end before calling callback
-      var exitError = null;
-      function handleExit(err) {
+    function runProbe(cacheEntry) {
+      // Find ffprobe
+      self._getFfprobePath(function(err, path) {
         if (err) {
-          exitError = err;
+          return handleCallback(err);
+        } else if (!path) {
+          return handleCallback(new errors.BinaryNotFoundError('Cannot find ffprobe'));
+        } else if (signal && signal.aborted) {
+          return handleCallback(utils.abortError(signal));
         }
 
-        if (processExited && stdoutClosed && stderrClosed) {
-          if (exitError) {
-            if (stderr) {
-              exitError.message += '\n' + stderr;
-            }
+        var stdout = '';
+        var stdoutClosed = false;
+        var stderr = '';
+        var stderrClosed = false;
 
-            return handleCallback(exitError);
-          }
+        // Spawn ffprobe
+        var src = input.isStream ? 'pipe:0' : input.source;
+        var showArgs = settings.legacy ?
+          ['-show_streams', '-show_format'] :
+          ['-print_format', 'json', '-show_streams', '-show_format', '-show_chapters', '-show_programs'];
+        var probeArgs = showArgs.concat(options, src);
+        var ffprobe = spawn(path, probeArgs, {windowsHide: true, signal: signal});
+
+        if (input.isStream) {
+          // Skip errors on stdin. These get thrown when ffprobe is complete and
+          // there seems to be no way hook in and close stdin before it throws.
+          ffprobe.stdin.on('error', function(err) {
+            if (['ECONNRESET', 'EPIPE', 'EOF'].indexOf(err.code) >= 0) { return; }
+            handleCallback(err);
+          });
+
+          // Once ffprobe's input stream closes, we need no more data from the
+          // input
+          ffprobe.stdin.on('close', function() {
+              input.source.pause();
+              input.source.unpipe(ffprobe.stdin);
+          });
 
-          // Process output
-          var data = parseFfprobeOutput(stdout);
+          input.source.pipe(ffprobe.stdin);
+        }
 
-          // Handle legacy output with "TAG:x" and "DISPOSITION:x" keys
-          [data.format].concat(data.streams).forEach(function(target) {
-            if (target) {
-              var legacyTagKeys = Object.keys(target).filter(legacyTag);
+        ffprobe.on('error', function(err) {
+          // If the callback has already been handled by on('exit'), do nothing
+          if (processExited) {
+            return;
+          }
+          handleCallback(errors.fromSpawn(err, probeArgs));
+        });
 
-              if (legacyTagKeys.length) {
-                target.tags = target.tags || {};
+        // Ensure we wait for captured streams to end before calling callback
+        var exitCode = null;
+        var exitSignal = null;
+        function handleExit() {
+          if (processExited && stdoutClosed && stderrClosed) {
+            var exitError = errors.fromExit('ffprobe', {
+              exitCode: exitCode,
+              signal: exitSignal,
+              args: probeArgs,
+              stderr: stderr,
+              inputs: [src]
+            });
 
-                legacyTagKeys.forEach(function(tagKey) {
-                  target.tags[tagKey.substr(4)] = target[tagKey];
-                  delete target[tagKey];
-                });
+            if (exitError) {
+              if (stderr) {
+                exitError.message += '\n' + stderr;
               }
 
-              var legacyDispositionKeys = Object.keys(target).filter(legacyDisposition);
+              return handleCallback(exitError);
+            }
 
-              if (legacyDispositionKeys.length) {
-                target.disposition = target.disposition || {};
+            if (!settings.legacy) {
+              var jsonData;
 
-                legacyDispositionKeys.forEach(function(dispositionKey) {
-                  target.disposition[dispositionKey.substr(12)] = target[dispositionKey];
-                  delete target[dispositionKey];
-                });
+              try {
+                jsonData = parseFfprobeJson(stdout);
+              } catch(e) {
+                return handleCallback(new Error('Invalid ffprobe output: ' + e.message));
               }
+
+              return handleData(cacheEntry, jsonData);
             }
-          });
 
-          handleCallback(null, data);
+            // Process legacy output
+            var data = parseFfprobeOutput(stdout);
+
+            // Handle legacy output with "TAG:x" and "DISPOSITION:x" keys
+            [data.format].concat(data.streams).forEach(function(target) {
+              if (target) {
+                var legacyTagKeys = Object.keys(target).filter(legacyTag);
+
+                if (legacyTagKeys.length) {
+                  target.tags = target.tags || {};
+
+                  legacyTagKeys.forEach(function(tagKey) {
+                    target.tags[tagKey.substr(4)] = target[tagKey];
+                    delete target[tagKey];
+                  });
+                }
+
+                var legacyDispositionKeys = Object.keys(target).filter(legacyDisposition);
+
+                if (legacyDispositionKeys.length) {
+                  target.disposition = target.disposition || {};
+
+                  legacyDispositionKeys.forEach(function(dispositionKey) {
+                    target.disposition[dispositionKey.substr(12)] = target[dispositionKey];
+                    delete target[dispositionKey];
+                  });
+                }
+              }
+            });
+
+            handleData(cacheEntry, data);
+          }
         }
-      }
 
-      // Handle ffprobe exit
-      var processExited = false;
-      ffprobe.on('exit', function(code, signal) {
-        processExited = true;
+        // Handle ffprobe exit
+        var processExited = false;
+        ffprobe.on('exit', function(code, signal) {
+          processExited = true;
+          exitCode = code;
+          exitSignal = signal;
+          handleExit();
+        });
 
-        if (code) {
-          handleExit(new Error('ffprobe exited with code ' + code));
-        } else if (signal) {
-          handleExit(new Error('ffprobe was killed with signal ' + signal));
-        } else {
+        // Handle stdout/stderr streams
+        ffprobe.stdout.on('data', function(data) {
+          stdout += data;
+        });
+
+        ffprobe.stdout.on('close', function() {
+          stdoutClosed = true;
           handleExit();
-        }
+        });
+
+        ffprobe.stderr.on('data', function(data) {
+          stderr += data;
+        });
+
+        ffprobe.stderr.on('close', function() {
+          stderrClosed = true;
+          handleExit();
+        });
       });
+    }
+  };
+
 
-      // Handle stdout/stderr streams
-      ffprobe.stdout.on('data', function(data) {
-        stdout += data;
+  /**
+   * A callback passed to the {@link FfmpegCommand#metadata} method.
+   *
+   * @callback FfmpegCommand~metadataCallback
+   *
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Metadata} metadata metadata object
+   */
+
+  /**
+   * Run ffprobe on last specified input and wrap its data in a {@link Metadata} object
+   *
+   * Accepts the same arguments as {@link FfmpegCommand#ffprobe}.
+   *
+   * @method FfmpegCommand#metadata
+   * @category Metadata
+   *
+   * @param {?Number} [index] 0-based index of input to probe (defaults to last input)
+   * @param {?String[]} [options] array of output options to return
+   * @param {Object} [settings] probe settings, see {@link FfmpegCommand#ffprobe}
+   * @param {FfmpegCommand~metadataCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the metadata object when no callback is given
+   */
+  proto.metadata = function() {
+    var self = this;
+    var args = [].slice.call(arguments);
+
+    // the last argument should be the callback, return a promise if it is missing
+    if (typeof args[args.length - 1] !== 'function') {
+      return utils.toPromise(function(cb) {
+        self.metadata.apply(self, args.concat(cb));
       });
+    }
+
+    var callback = args.pop();
+
+    this.ffprobe.apply(this, args.concat(function(err, data) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, new Metadata(data));
+    }));
+  };
 
-      ffprobe.stdout.on('close', function() {
-        stdoutClosed = true;
-        handleExit();
+
+  /**
+   * A callback passed to the {@link FfmpegCommand#probeAll} method.
+   *
+   * @callback FfmpegCommand~probeAllCallback
+   *
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Array} metadata {@link Metadata} objects for each command input, in
+   *   input order; stream inputs are not probed and have a null entry
+   */
+
+  /**
+   * Probe all command inputs in parallel
+   *
+   * Stream inputs are skipped, as probing would consume them.
+   *
+   * @example
+   * ffmpeg('/path/to/part1.avi')
+   *   .input('/path/to/part2.avi')
+   *   .probeAll(function(err, metadata) {
+   *     var total = metadata.reduce(function(sum, meta) {
+   *       return sum + meta.durationSeconds();
+   *     }, 0);
+   *   });
+   *
+   * @method FfmpegCommand#probeAll
+   * @category Metadata
+   *
+   * @param {Object} [settings] probe settings, see {@link FfmpegCommand#ffprobe}
+   * @param {FfmpegCommand~probeAllCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the metadata array when no callback is given
+   */
+  proto.probeAll = function(settings, callback) {
+    var self = this;
+
+    if (typeof settings === 'function') {
+      callback = settings;
+      settings = {};
+    }
+
+    settings = settings || {};
+
+    if (typeof callback !== 'function') {
+      return utils.toPromise(function(cb) {
+        self.probeAll(settings, cb);
       });
+    }
+
+    async.map(this._inputs, function(input, cb) {
+      if (input.isStream) {
+        return cb(null, null);
+      }
+
+      self.metadata(self._inputs.indexOf(input), settings, cb);
+    }, callback);
+  };
+
+
+  /**
+   * Prime the probe cache for an input
+   *
+   * When 'data' is given, it is stored as the default ffprobe result (without
+   * options) of the input, both in the command and in the probe cache shared
+   * between commands.  Otherwise, ffprobe is run on the input and its result is
+   * cached.
+   *
+   * @example
+   * // Reuse metadata read elsewhere
+   * ffmpeg.primeProbeCache('/path/to/file.avi', metadata);
+   *
+   * @method FfmpegCommand#primeProbeCache
+   * @category Metadata
+   *
+   * @param {?Number} [index] 0-based index of input to cache probe data for (defaults to last input)
+   * @param {Object} [data] ffprobe data, with the same format as {@link FfmpegCommand#ffprobe} results
+   * @param {FfmpegCommand~ffprobeCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the cached ffprobe data when no callback is given
+   */
+  proto.primeProbeCache = function() {
+    var self = this;
+    var input, index = null, data = null, callback;
+    var args = [].slice.call(arguments);
 
-      ffprobe.stderr.on('data', function(data) {
-        stderr += data;
+    // the last argument should be the callback, return a promise if it is missing
+    if (typeof args[args.length - 1] !== 'function') {
+      return utils.toPromise(function(cb) {
+        self.primeProbeCache.apply(self, args.concat(cb));
       });
+    }
+
+    callback = args.pop();
+
+    args.forEach(function(arg) {
+      if (typeof arg === 'number') {
+        index = arg;
+      } else if (arg && typeof arg === 'object') {
+        data = arg;
+      }
+    });
+
+    if (!data) {
+      return this.ffprobe(index, { cache: true }, callback);
+    }
+
+    input = index === null ? this._currentInput : this._inputs[index];
+
+    if (!input) {
+      return callback(new Error(index === null ? 'No input specified' : 'Invalid input index'));
+    }
+
+    var resultKey = JSON.stringify([[], false]);
+
+    input.probeResults = input.probeResults || {};
+    input.probeResults[resultKey] = data;
+
+    getProbeCacheEntry(this, input, function(entry) {
+      if (entry) {
+        entry.results[resultKey] = data;
+      }
+
+      callback(null, data);
+    });
+  };
+
+
+  /**
+   * Clear cached probe results
+   *
+   * Clears probe results memoized by the command and results shared between
+   * commands for its input files.  When the command has no input, the whole
+   * shared probe cache is cleared.
+   *
+   * @method FfmpegCommand#clearProbeCache
+   * @category Metadata
+   *
+   * @param {Number} [index] 0-based index of input to clear results for (defaults to all inputs)
+   * @return FfmpegCommand
+   */
+  proto.clearProbeCache = function(index) {
+    var self = this;
 
-      ffprobe.stderr.on('close', function() {
-        stderrClosed = true;
-        handleExit();
+    if (!this._inputs.length) {
+      probeCache = {};
+      return this;
+    }
+
+    var inputs = typeof index === 'number' ? [this._inputs[index]] : this._inputs;
+
+    inputs.forEach(function(input) {
+      if (input) {
+        var file = probeCachePath(self, input);
+
+        delete input.probeResults;
+
+        if (file) {
+          delete probeCache[file];
+        }
+      }
+    });
+
+    return this;
+  };
+
+
+  /**
+   * Read frame information from an input
+   *
+   * Frames are read as ffprobe outputs them, without buffering the whole
+   * output.  The returned reader emits a 'frame' event with each frame object
+   * (with the same format as in `ffprobe -print_format json -show_frames` output,
+   * number-like strings being converted to numbers), and then an 'end' event
+   * with the number of frames read.  It can also be iterated with `for await`.
+   *
+   * The reader has pause(), resume() and kill() methods to control ffprobe output.
+   *
+   * @example
+   * ffmpeg('/path/to/file.avi')
+   *   .probeFrames({ streams: 'v:0', interval: { start: 10, duration: 5 } })
+   *   .on('frame', function(frame) {
+   *     console.log(frame.pts_time, frame.pict_type, frame.pkt_size);
+   *   })
+   *   .on('end', function(count) {
+   *     console.log(count + ' frames read');
+   *   });
+   *
+   * @method FfmpegCommand#probeFrames
+   * @category Metadata
+   *
+   * @param {?Number} [index] 0-based index of input to probe (defaults to last input)
+   * @param {Object} [options] probe options
+   * @param {String|Number} [options.streams] stream specifier of streams to read frames from (`-select_streams`)
+   * @param {String|Object|Array} [options.interval] interval to read (`-read_intervals`), either as a string
+   *   or as an object with a 'start' key and an 'end', 'duration' or 'frames' key; may be an array of intervals
+   * @param {String|String[]} [options.entries] frame entries to read (defaults to all entries)
+   * @param {Boolean} [options.keyframesOnly=false] only decode and read keyframes (`-skip_frame nokey`)
+   * @param {AbortSignal} [options.signal] signal used to cancel the probe, defaults to the command 'signal' option
+   * @return {FfprobeReader} frame reader
+   */
+  proto.probeFrames = function() {
+    return probeItems(this, 'frame', [].slice.call(arguments));
+  };
+
+
+  /**
+   * Read packet information from an input
+   *
+   * Works like {@link FfmpegCommand#probeFrames}, except that the returned
+   * reader emits 'packet' events with packet objects, which is much faster as
+   * ffprobe does not have to decode frames.
+   *
+   * @method FfmpegCommand#probePackets
+   * @category Metadata
+   *
+   * @param {?Number} [index] 0-based index of input to probe (defaults to last input)
+   * @param {Object} [options] probe options, see {@link FfmpegCommand#probeFrames}
+   * @return {FfprobeReader} packet reader
+   */
+  proto.probePackets = function() {
+    return probeItems(this, 'packet', [].slice.call(arguments));
+  };
+
+
+  /**
+   * A callback passed to the {@link FfmpegCommand#keyframes} method.
+   *
+   * @callback FfmpegCommand~keyframesCallback
+   *
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Number[]} keyframes sorted keyframe timestamps, in seconds relative to the input start time
+   */
+
+  /**
+   * Read keyframe timestamps from an input
+   *
+   * Use {@link FfmpegCommand.snapToKeyframe} on the result to find keyframes
+   * around a specific timestamp.
+   *
+   * @example
+   * ffmpeg('/path/to/file.avi').keyframes(function(err, keyframes) {
+   *   var start = ffmpeg.snapToKeyframe(keyframes, 42, 'previous');
+   *   ...
+   * });
+   *
+   * @method FfmpegCommand#keyframes
+   * @category Metadata
+   *
+   * @param {String|Number} [stream='v:0'] stream index or specifier of the stream to read keyframes from
+   * @param {Object} [options] probe options
+   * @param {Number} [options.input] 0-based index of input to probe (defaults to last input)
+   * @param {String|Object|Array} [options.interval] interval to read, see {@link FfmpegCommand#probeFrames}
+   * @param {AbortSignal} [options.signal] signal used to cancel the probe, defaults to the command 'signal' option
+   * @param {FfmpegCommand~keyframesCallback} [callback] callback function
+   * @return {Promise|undefined} promise resolving to the keyframe timestamps when no callback is given
+   */
+  proto.keyframes = function() {
+    var self = this;
+    var args = [].slice.call(arguments);
+
+    // the last argument should be the callback, return a promise if it is missing
+    if (typeof args[args.length - 1] !== 'function') {
+      return utils.toPromise(function(cb) {
+        self.keyframes.apply(self, args.concat(cb));
       });
+    }
+
+    var callback = args.pop();
+    var stream = 'v:0', options = {};
+
+    args.forEach(function(arg) {
+      if (typeof arg === 'number' || typeof arg === 'string') {
+        stream = arg;
+      } else if (arg && typeof arg === 'object') {
+        options = arg;
+      }
+    });
+
+    var probeOptions = {
+      streams: stream,
+      keyframesOnly: true,
+      entries: ['key_frame', 'best_effort_timestamp_time', 'pts_time'],
+      formatEntries: ['start_time']
+    };
+
+    ['interval', 'signal'].forEach(function(key) {
+      if (key in options) {
+        probeOptions[key] = options[key];
+      }
     });
+
+    var index = 'input' in options ? options.input : null;
+    var times = [];
+
+    var reader = this.probeFrames(index, probeOptions)
+      .on('frame', function(frame) {
+        // Some decoders ignore -skip_frame
+        if (frame.key_frame !== 1) {
+          return;
+        }
+
+        var time = [frame.best_effort_timestamp_time, frame.pts_time].filter(function(t) {
+          return typeof t === 'number';
+        })[0];
+
+        if (typeof time !== 'undefined') {
+          times.push(time);
+        }
+      })
+      .on('error', function(err) {
+        callback(err);
+      })
+      .on('end', function() {
+        // Keyframe timestamps are made relative to the input start time, as with seekInput()
+        var startTime = Number(reader.format && reader.format.start_time) || 0;
+        var timestamps = times.map(function(time) {
+          return Number((time - startTime).toFixed(6));
+        });
+
+        timestamps.sort(function(a, b) { return a - b; });
+
+        callback(null, timestamps.filter(function(time, index) {
+          return index === 0 || time !== timestamps[index - 1];
+        }));
+      });
   };
 };
@@ -7,6 +7,35 @@ var EventEmitter = require('events').EventEmitter;
 
 var utils = require('./utils');
 var ARGLISTS = ['_global', '_audio', '_audioFilters', '_video', '_videoFilters', '_sizeFilters', '_complexFilters'];
+var OUTPUT_ARGLISTS = ['audio', 'audioFilters', 'video', 'videoFilters', 'sizeFilters', 'options'];
+
+// Command options that are not serialized by toJSON()
+var NON_SERIALIZABLE_OPTIONS = ['logger', 'source', 'signal'];
+
+// ffmpeg options that don't take a value, from the ffmpeg option table (boolean
+// options may also be negated with a 'no' prefix, eg. '-noautorotate')
+var FLAG_OPTIONS = [
+  '-y', '-n', '-an', '-vn', '-sn', '-dn', '-hide_banner', '-stdin', '-stats', '-shortest', '-re',
+  '-copyts', '-start_at_zero', '-benchmark', '-benchmark_all', '-report', '-xerror', '-ignore_unknown',
+  '-copy_unknown', '-recast_media', '-accurate_seek', '-autorotate', '-autoscale', '-find_stream_info',
+  '-debug_ts', '-dump', '-hex', '-bitexact', '-copyinkf', '-force_fps', '-fix_sub_duration',
+  '-fix_sub_duration_heartbeat', '-vstats', '-qphist', '-psnr', '-deinterlace', '-intra', '-isync',
+  '-sameq', '-same_quant', '-print_graphs', '-L', '-version', '-buildconf', '-formats', '-muxers',
+  '-demuxers', '-devices', '-codecs', '-decoders', '-encoders', '-bsfs', '-protocols', '-filters',
+  '-pix_fmts', '-layouts', '-sample_fmts', '-dispositions', '-colors', '-hwaccels'
+];
+
+// ffmpeg options that apply to the whole command instead of the next input or output
+var GLOBAL_OPTIONS = [
+  '-n', '-loglevel', '-v', '-hide_banner', '-nostdin', '-stdin', '-nostats', '-stats', '-progress',
+  '-report', '-benchmark', '-benchmark_all', '-xerror', '-filter_complex_threads', '-filter_threads',
+  '-max_error_rate', '-abort_on', '-ignore_unknown', '-copy_unknown', '-debug_ts', '-stats_period',
+  '-sdp_file', '-init_hw_device', '-filter_hw_device', '-timelimit', '-filter_complex_script'
+];
+
+// Output options stored in the audio and video argument lists by fluent-ffmpeg methods
+var AUDIO_OPTIONS = ['-an', '-acodec', '-b:a', '-ac', '-ar', '-aq'];
+var VIDEO_OPTIONS = ['-vn', '-vcodec', '-b:v', '-maxrate', '-minrate', '-bufsize', '-r', '-vframes'];
 
 
 /**
@@ -26,6 +55,12 @@ var ARGLISTS = ['_global', '_audio', '_audioFilters', '_video', '_videoFilters',
  * @param {String} [options.preset="fluent-ffmpeg/lib/presets"] alias for `presets`
  * @param {String} [options.stdoutLines=100] maximum lines of ffmpeg output to keep in memory, use 0 for unlimited
  * @param {Number} [options.timeout=<no timeout>] ffmpeg processing timeout in seconds
+ * @param {AbortSignal} [options.signal=<no signal>] signal used to cancel processing and metadata probes
+ * @param {Boolean} [options.progressPipe=false] read progress information from a dedicated pipe (`-progress pipe:3`) instead of parsing ffmpeg output; ignored on Windows
+ * @param {Boolean} [options.probeCache=false] share ffprobe results for input files with other commands, see {@link FfmpegCommand#ffprobe}
+ * @param {String} [options.ffmpegPath=<process-wide path>] ffmpeg binary path, see {@link FfmpegCommand.withBinaries}
+ * @param {String} [options.ffprobePath=<process-wide path>] ffprobe binary path
+ * @param {String} [options.flvtoolPath=<process-wide path>] flvtool2 or flvmeta binary path
  * @param {String|ReadableStream} [options.source=<no input>] alias for the `input` parameter
  */
 function FfmpegCommand(input, options) {
@@ -159,6 +194,279 @@ FfmpegCommand.prototype.clone = function() {
 };
 
 
+/**
+ * Serialize an ffmpeg command
+ *
+ * Returns a plain object with the command inputs, outputs, filters and options,
+ * that can be passed to JSON.stringify() and then to {@link FfmpegCommand.fromJSON}
+ * to rebuild the command, eg. in another process.  The logger and signal options
+ * and event handlers are not serialized.
+ *
+ * Commands with input or output streams cannot be serialized.
+ *
+ * @method FfmpegCommand#toJSON
+ * @return {Object} serialized command
+ */
+FfmpegCommand.prototype.toJSON = function() {
+  var options = {};
+  var self = this;
+
+  Object.keys(this.options).forEach(function(key) {
+    if (NON_SERIALIZABLE_OPTIONS.indexOf(key) === -1) {
+      options[key] = self.options[key];
+    }
+  });
+
+  return {
+    options: options,
+
+    inputs: this._inputs.map(function(input) {
+      if (input.isStream) {
+        throw new Error('Cannot serialize a command with input streams');
+      }
+
+      return {
+        source: input.source,
+        options: input.options.get().slice()
+      };
+    }),
+
+    outputs: this._outputs.map(function(output) {
+      var serialized = { flags: {} };
+
+      if ('target' in output) {
+        if (output.target && typeof output.target !== 'string') {
+          throw new Error('Cannot serialize a command with output streams');
+        }
+
+        serialized.target = output.target;
+      }
+
+      utils.copy(output.flags, serialized.flags);
+
+      if (output.sizeData) {
+        serialized.sizeData = {};
+        utils.copy(output.sizeData, serialized.sizeData);
+      }
+
+      OUTPUT_ARGLISTS.forEach(function(key) {
+        serialized[key] = output[key].get().slice();
+      });
+
+      return serialized;
+    }),
+
+    global: this._global.get().slice(),
+    complexFilters: this._complexFilters.get().slice()
+  };
+};
+
+
+/**
+ * Rebuild an ffmpeg command serialized with {@link FfmpegCommand#toJSON}
+ *
+ * As with {@link FfmpegCommand#clone}, the rebuilt command shares no state with
+ * the original command.  Options that are not serialized (eg. the logger or
+ * signal) may be passed again in 'options'.
+ *
+ * @example
+ *   // Producer
+ *   queue.send(JSON.stringify(ffmpeg('/path/to/file.avi').size('320x?').output('/path/to/file.mp4')));
+ *
+ *   // Worker
+ *   ffmpeg.fromJSON(message, { logger: logger }).run();
+ *
+ * @method FfmpegCommand.fromJSON
+ * @param {Object|String} json serialized command, or its JSON string
+ * @param {Object} [options] additional command options, see {@link FfmpegCommand}
+ * @return FfmpegCommand
+ */
+FfmpegCommand.fromJSON = function(json, options) {
+  if (typeof json === 'string') {
+    json = JSON.parse(json);
+  }
+
+  if (!json || !Array.isArray(json.inputs) || !Array.isArray(json.outputs)) {
+    throw new Error('Invalid serialized command');
+  }
+
+  var commandOptions = {};
+  utils.copy(json.options || {}, commandOptions);
+  utils.copy(options || {}, commandOptions);
+
+  var command = new FfmpegCommand(commandOptions);
+
+  json.inputs.forEach(function(input) {
+    command.input(input.source);
+    command._currentInput.options(input.options || []);
+  });
+
+  if (json.outputs.length) {
+    command._outputs = json.outputs.map(function(output) {
+      var restored = { flags: {}, pipeopts: {} };
+
+      if ('target' in output) {
+        // Let output() set target-related properties on the restored output
+        command._currentOutput = restored;
+        command.output(output.target);
+      }
+
+      utils.copy(output.flags || {}, restored.flags);
+
+      if (output.sizeData) {
+        restored.sizeData = {};
+        utils.copy(output.sizeData, restored.sizeData);
+      }
+
+      OUTPUT_ARGLISTS.forEach(function(key) {
+        restored[key] = utils.args();
+        restored[key](output[key] || []);
+      });
+
+      return restored;
+    });
+
+    command._currentOutput = command._outputs[command._outputs.length - 1];
+  }
+
+  command._global(json.global || []);
+  command._complexFilters(json.complexFilters || []);
+
+  return command;
+};
+
+
+/**
+ * Check whether an ffmpeg option doesn't take a value
+ *
+ * @param {String} arg option, possibly with a stream specifier (eg. '-copyinkf:v')
+ * @return {Boolean}
+ * @private
+ */
+function isFlagOption(arg) {
+  var name = arg.split(':')[0];
+
+  return FLAG_OPTIONS.indexOf(name) !== -1 ||
+    (name.indexOf('-no') === 0 && FLAG_OPTIONS.indexOf('-' + name.substr(3)) !== -1);
+}
+
+
+/**
+ * Create an ffmpeg command from an ffmpeg argument list
+ *
+ * Arguments are split the same way ffmpeg does: options preceding '-i' are
+ * options for that input, options preceding an output target are options for
+ * that output, and global options (eg. '-loglevel') and '-filter_complex' are
+ * set on the whole command.  Output options that fluent-ffmpeg methods would
+ * produce (eg. '-acodec', '-filter:v') are stored as if those methods had been
+ * called, so that the command can be changed with the fluent API.
+ *
+ * Inputs and outputs are always file names or URLs, 'pipe:N' and '-' are kept
+ * as is.  The '-y' flag is dropped as fluent-ffmpeg adds it for file outputs.
+ * When 'argv' has no output, trailing options are applied to the first output
+ * added with the fluent API.
+ *
+ * The argument list of the resulting command, as returned by _getArguments(),
+ * is equivalent to 'argv' and parsing it again yields the same command.
+ *
+ * @example
+ *   ffmpeg.fromArgs(['-ss', '10', '-i', 'input.avi', '-vcodec', 'libx264', 'output.mp4'])
+ *     .size('640x?')
+ *     .save('output-small.mp4');
+ *
+ * @method FfmpegCommand.fromArgs
+ * @param {String[]} argv ffmpeg argument list, optionally including the ffmpeg binary as first item
+ * @param {Object} [options] command options, see {@link FfmpegCommand}
+ * @return FfmpegCommand
+ */
+FfmpegCommand.fromArgs = function(argv, options) {
+  if (!Array.isArray(argv)) {
+    throw new Error('Invalid argument list');
+  }
+
+  var command = new FfmpegCommand(options || {});
+  var args = argv.map(String);
+  var pending = [];
+  var afterComplexFilter = false;
+
+  if (args.length && path.basename(args[0]).match(/^ffmpeg(\.exe)?$/i)) {
+    args = args.slice(1);
+  }
+
+  function addOutputOptions(output, options) {
+    options.forEach(function(option) {
+      var name = option[0];
+
+      if (name === '-filter:a' || name === '-af') {
+        output.audioFilters(option[1]);
+      } else if (name === '-filter:v' || name === '-vf') {
+        output.videoFilters(option[1]);
+      } else if (AUDIO_OPTIONS.indexOf(name) !== -1) {
+        output.audio(option);
+      } else if (VIDEO_OPTIONS.indexOf(name) !== -1) {
+        output.video(option);
+      } else {
+        output.options(option);
+      }
+    });
+  }
+
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+
+    if (arg[0] !== '-' || arg === '-') {
+      // Output target
+      command.output(arg);
+      addOutputOptions(command._currentOutput, pending);
+      pending = [];
+      afterComplexFilter = false;
+      continue;
+    }
+
+    var option = [arg];
+    if (!isFlagOption(arg)) {
+      if (i + 1 >= args.length) {
+        throw new Error('Missing value for option ' + arg);
+      }
+
+      option.push(args[++i]);
+    }
+
+    if (arg === '-i') {
+      command.input(option[1]);
+      command._currentInput.options([].concat.apply([], pending));
+      pending = [];
+      afterComplexFilter = false;
+    } else if (arg === '-filter_complex' || arg === '-lavfi') {
+      command._complexFilters('-filter_complex', option[1]);
+      afterComplexFilter = true;
+    } else if (arg === '-map' && afterComplexFilter && !('target' in command._currentOutput)) {
+      // Keep maps following complex filters with them, as complexFilter() does;
+      // once an output is added, they belong to the next output instead as
+      // complex filter arguments come before all outputs
+      command._complexFilters(option);
+    } else if (arg === '-y') {
+      // Added automatically when needed
+    } else if (GLOBAL_OPTIONS.indexOf(arg) !== -1) {
+      command._global(option);
+    } else {
+      pending.push(option);
+      afterComplexFilter = false;
+    }
+  }
+
+  if (pending.length) {
+    if ('target' in command._currentOutput) {
+      throw new Error('Trailing options after the last output: ' + [].concat.apply([], pending).join(' '));
+    }
+
+    addOutputOptions(command._currentOutput, pending);
+  }
+
+  return command;
+};
+
+
 /* Add methods from options submodules */
 
 require('./options/inputs')(FfmpegCommand.prototype);
@@ -193,22 +501,98 @@ FfmpegCommand.setFlvtoolPath = function(path) {
 
 FfmpegCommand.availableFilters =
 FfmpegCommand.getAvailableFilters = function(callback) {
-  (new FfmpegCommand()).availableFilters(callback);
+  return (new FfmpegCommand()).availableFilters(callback);
 };
 
 FfmpegCommand.availableCodecs =
 FfmpegCommand.getAvailableCodecs = function(callback) {
-  (new FfmpegCommand()).availableCodecs(callback);
+  return (new FfmpegCommand()).availableCodecs(callback);
 };
 
 FfmpegCommand.availableFormats =
 FfmpegCommand.getAvailableFormats = function(callback) {
-  (new FfmpegCommand()).availableFormats(callback);
+  return (new FfmpegCommand()).availableFormats(callback);
 };
 
 FfmpegCommand.availableEncoders =
 FfmpegCommand.getAvailableEncoders = function(callback) {
-  (new FfmpegCommand()).availableEncoders(callback);
+  return (new FfmpegCommand()).availableEncoders(callback);
+};
+
+FfmpegCommand.availableDecoders = function(callback) {
+  return (new FfmpegCommand()).availableDecoders(callback);
+};
+
+FfmpegCommand.availablePixelFormats = function(callback) {
+  return (new FfmpegCommand()).availablePixelFormats(callback);
+};
+
+FfmpegCommand.availableSampleFormats = function(callback) {
+  return (new FfmpegCommand()).availableSampleFormats(callback);
+};
+
+FfmpegCommand.availableLayouts = function(callback) {
+  return (new FfmpegCommand()).availableLayouts(callback);
+};
+
+FfmpegCommand.availableProtocols = function(callback) {
+  return (new FfmpegCommand()).availableProtocols(callback);
+};
+
+FfmpegCommand.availableBitstreamFilters = function(callback) {
+  return (new FfmpegCommand()).availableBitstreamFilters(callback);
+};
+
+FfmpegCommand.setCapabilityCachePath = function(file) {
+  (new FfmpegCommand()).setCapabilityCachePath(file);
+};
+
+FfmpegCommand.warmCapabilityCache = function(callback) {
+  return (new FfmpegCommand()).warmCapabilityCache(callback);
+};
+
+FfmpegCommand.invalidateCapabilityCache = function(callback) {
+  return (new FfmpegCommand()).invalidateCapabilityCache(callback);
+};
+
+FfmpegCommand.encoderOptions = function(name, callback) {
+  return (new FfmpegCommand()).encoderOptions(name, callback);
+};
+
+FfmpegCommand.filterOptions = function(name, callback) {
+  return (new FfmpegCommand()).filterOptions(name, callback);
+};
+
+FfmpegCommand.muxerOptions = function(name, callback) {
+  return (new FfmpegCommand()).muxerOptions(name, callback);
+};
+
+FfmpegCommand.ffmpegVersion = function(callback) {
+  return (new FfmpegCommand()).ffmpegVersion(callback);
+};
+
+FfmpegCommand.ffprobeVersion = function(callback) {
+  return (new FfmpegCommand()).ffprobeVersion(callback);
+};
+
+
+/**
+ * Check whether an ffmpeg or ffprobe version is at least a given version
+ *
+ * @example
+ *   ffmpeg().ffmpegVersion().then(function(version) {
+ *     if (!ffmpeg.versionAtLeast(version, '4.4')) {
+ *       throw new Error('ffmpeg 4.4 or newer is required');
+ *     }
+ *   });
+ *
+ * @method FfmpegCommand.versionAtLeast
+ * @param {Object} version version object, see {@link FfmpegCommand#ffmpegVersion}
+ * @param {String|Number} minimum minimum version, eg. '4.4' or 5
+ * @return {Boolean} whether the version is the same or newer, false when the version is unknown
+ */
+FfmpegCommand.versionAtLeast = function(version, minimum) {
+  return utils.versionAtLeast(version, minimum);
 };
 
 
@@ -218,9 +602,184 @@ require('./ffprobe')(FfmpegCommand.prototype);
 
 FfmpegCommand.ffprobe = function(file) {
   var instance = new FfmpegCommand(file);
-  instance.ffprobe.apply(instance, Array.prototype.slice.call(arguments, 1));
+  return instance.ffprobe.apply(instance, Array.prototype.slice.call(arguments, 1));
+};
+
+FfmpegCommand.metadata = function(file) {
+  var instance = new FfmpegCommand(file);
+  return instance.metadata.apply(instance, Array.prototype.slice.call(arguments, 1));
+};
+
+FfmpegCommand.primeProbeCache = function(file) {
+  var instance = new FfmpegCommand(file);
+  return instance.primeProbeCache.apply(instance, Array.prototype.slice.call(arguments, 1));
+};
+
+FfmpegCommand.clearProbeCache = function(file) {
+  return (file ? new FfmpegCommand(file) : new FfmpegCommand()).clearProbeCache();
+};
+
+FfmpegCommand.probeFrames = function(file) {
+  var instance = new FfmpegCommand(file);
+  return instance.probeFrames.apply(instance, Array.prototype.slice.call(arguments, 1));
+};
+
+FfmpegCommand.probePackets = function(file) {
+  var instance = new FfmpegCommand(file);
+  return instance.probePackets.apply(instance, Array.prototype.slice.call(arguments, 1));
+};
+
+FfmpegCommand.keyframes = function(file) {
+  var instance = new FfmpegCommand(file);
+  return instance.keyframes.apply(instance, Array.prototype.slice.call(arguments, 1));
+};
+
+/**
+ * Snap a timestamp to a keyframe
+ *
+ * @example
+ *   ffmpeg.keyframes('/path/to/file.avi').then(function(keyframes) {
+ *     var start = ffmpeg.snapToKeyframe(keyframes, '00:01:30', 'next');
+ *   });
+ *
+ * @method FfmpegCommand.snapToKeyframe
+ * @param {Number[]} keyframes sorted keyframe timestamps in seconds, see {@link FfmpegCommand#keyframes}
+ * @param {Number|String} time timestamp in seconds or as a [[hh:]mm:]ss[.xxx] timemark
+ * @param {String} [direction='previous'] 'previous' to snap to the last keyframe at or before 'time',
+ *   'next' to snap to the first keyframe at or after 'time', 'nearest' to snap to the closest keyframe
+ * @return {Number|null} keyframe timestamp, or null if no keyframe matches
+ */
+FfmpegCommand.snapToKeyframe = function(keyframes, time, direction) {
+  return utils.snapToKeyframe(keyframes, time, direction);
+};
+
+/* Export metadata model */
+
+FfmpegCommand.Metadata = require('./metadata');
+
+/* Export error classes */
+
+var errors = require('./errors');
+
+[
+  'FfmpegError', 'SpawnError', 'BinaryNotFoundError', 'CapabilityError', 'InputError', 'CodecError',
+  'OutputStreamError', 'TimeoutError', 'KilledError', 'ProcessError'
+].forEach(function(name) {
+  FfmpegCommand[name] = errors[name];
+});
+
+/* Add per-binary command factories */
+
+// Static methods using ffmpeg or ffprobe without an input
+var BINARY_STATICS = [
+  'availableFilters', 'getAvailableFilters', 'availableCodecs', 'getAvailableCodecs',
+  'availableFormats', 'getAvailableFormats', 'availableEncoders', 'getAvailableEncoders',
+  'availableDecoders', 'availablePixelFormats', 'availableSampleFormats', 'availableLayouts',
+  'availableProtocols', 'availableBitstreamFilters', 'warmCapabilityCache', 'invalidateCapabilityCache',
+  'encoderOptions', 'filterOptions', 'muxerOptions', 'ffmpegVersion', 'ffprobeVersion'
+];
+
+// Static methods taking an input file first
+var BINARY_INPUT_STATICS = ['ffprobe', 'metadata', 'primeProbeCache', 'probeFrames', 'probePackets', 'keyframes'];
+
+/**
+ * Create a command factory using specific ffmpeg, ffprobe and flvtool binaries
+ *
+ * The factory is called like the main module export and creates commands whose
+ * 'ffmpegPath', 'ffprobePath' and 'flvtoolPath' options default to the given
+ * binaries, without changing the process-wide paths set with
+ * {@link FfmpegCommand#setFfmpegPath} and friends.  Capability query results are
+ * cached separately for each ffmpeg binary.
+ *
+ * The factory also has the capability and probing static methods of the main
+ * module export (eg. `availableCodecs()`, `ffmpegVersion()` or `ffprobe(file)`).
+ *
+ * @example
+ *   var ffmpeg6 = ffmpeg.withBinaries({
+ *     ffmpeg: '/opt/ffmpeg-6/bin/ffmpeg',
+ *     ffprobe: '/opt/ffmpeg-6/bin/ffprobe'
+ *   });
+ *
+ *   ffmpeg6('/path/to/file.avi').save('/path/to/file.mp4');
+ *   ffmpeg6.availableEncoders(function(err, encoders) { ... });
+ *
+ * @method FfmpegCommand.withBinaries
+ * @param {Object} binaries binary paths
+ * @param {String} [binaries.ffmpeg] ffmpeg binary path, defaults to the process-wide ffmpeg
+ * @param {String} [binaries.ffprobe] ffprobe binary path, defaults to the process-wide ffprobe
+ * @param {String} [binaries.flvtool] flvtool2 or flvmeta binary path, defaults to the process-wide flvtool
+ * @return {Function} command factory with signature (input, options)
+ */
+FfmpegCommand.withBinaries = function(binaries) {
+  binaries = binaries || {};
+
+  function factory(input, options) {
+    // Copy options so that binary paths don't leak to other commands using them
+    var settings = {};
+
+    if (input && typeof input === 'object' && !('readable' in input)) {
+      utils.copy(input, settings);
+      input = settings;
+    } else {
+      utils.copy(options || {}, settings);
+      options = settings;
+    }
+
+    ['ffmpeg', 'ffprobe', 'flvtool'].forEach(function(binary) {
+      var option = binary + 'Path';
+
+      if (binaries[binary] && !settings[option]) {
+        settings[option] = binaries[binary];
+      }
+    });
+
+    return new FfmpegCommand(input, options);
+  }
+
+  BINARY_STATICS.forEach(function(method) {
+    factory[method] = function() {
+      var instance = factory();
+      return instance[method].apply(instance, arguments);
+    };
+  });
+
+  BINARY_INPUT_STATICS.forEach(function(method) {
+    factory[method] = function(file) {
+      var instance = factory(file);
+      return instance[method].apply(instance, Array.prototype.slice.call(arguments, 1));
+    };
+  });
+
+  return factory;
 };
 
 /* Add processing recipes */
 
 require('./recipes')(FfmpegCommand.prototype);
+
+
+/* Add command pool */
+
+var FfmpegPool = require('./pool');
+
+/**
+ * Create a pool running commands with a concurrency limit
+ *
+ * @example
+ *   var pool = ffmpeg.createPool({ concurrency: 4 });
+ *
+ *   files.forEach(function(file) {
+ *     pool.add(ffmpeg(file).output(file + '.mp4'));
+ *   });
+ *
+ *   pool.on('drain', function(stats) {
+ *     console.log(stats.done + ' files converted');
+ *   });
+ *
+ * @method FfmpegCommand.createPool
+ * @param {Object} [options] pool options, see {@link FfmpegPool}
+ * @return FfmpegPool
+ */
+FfmpegCommand.createPool = function(options) {
+  return new FfmpegPool(options);
+};
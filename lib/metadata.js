@@ -0,0 +1,272 @@
+/*jshint node:true*/
+'use strict';
+
+/*
+ *! Metadata model
+ */
+
+// Transfer characteristics used by HDR video (PQ and HLG)
+var HDR_TRANSFERS = ['smpte2084', 'arib-std-b67'];
+
+
+/**
+ * Parse a 'num/den' or 'num:den' ratio
+ *
+ * @param {String|Number} ratio ratio string
+ * @return {Number|null} ratio value, or null when invalid
+ * @private
+ */
+function parseRatio(ratio) {
+  if (typeof ratio === 'number') {
+    return isFinite(ratio) && ratio > 0 ? ratio : null;
+  }
+
+  var match = String(ratio).match(/^(\d+(?:\.\d+)?)[\/:](\d+(?:\.\d+)?)$/);
+
+  if (!match || !Number(match[1]) || !Number(match[2])) {
+    return null;
+  }
+
+  return Number(match[1]) / Number(match[2]);
+}
+
+
+/**
+ * Check whether a stream is a video stream, excluding attached pictures (eg. cover art)
+ *
+ * @param {Object} stream ffprobe stream
+ * @return {Boolean}
+ * @private
+ */
+function isVideoTrack(stream) {
+  return stream.codec_type === 'video' && !(stream.disposition && Number(stream.disposition.attached_pic));
+}
+
+
+/**
+ * Create a metadata object from ffprobe data
+ *
+ * The 'streams', 'format', 'chapters' and 'programs' keys of ffprobe data are
+ * available as properties, and helper methods read common information from
+ * them.  Methods taking an optional stream object use the primary video stream
+ * by default.
+ *
+ * Use {@link FfmpegCommand#metadata} to probe an input and get a metadata object.
+ *
+ * @example
+ *   ffmpeg('/path/to/file.mp4').metadata(function(err, metadata) {
+ *     var video = metadata.primaryVideo();
+ *     console.log(video.width + 'x' + video.height + ' at ' + metadata.frameRate() + 'fps');
+ *   });
+ *
+ * @constructor
+ * @param {Object} data ffprobe data, see {@link FfmpegCommand#ffprobe}
+ */
+function Metadata(data) {
+  data = data || {};
+
+  this.streams = data.streams || [];
+  this.format = data.format || {};
+  this.chapters = data.chapters || [];
+  this.programs = data.programs || [];
+}
+module.exports = Metadata;
+
+
+/**
+ * Get video streams, excluding attached pictures (eg. cover art)
+ *
+ * @method Metadata#videoTracks
+ * @return {Object[]} video streams
+ */
+Metadata.prototype.videoTracks = function() {
+  return this.streams.filter(isVideoTrack);
+};
+
+
+/**
+ * Get audio streams
+ *
+ * @method Metadata#audioTracks
+ * @return {Object[]} audio streams
+ */
+Metadata.prototype.audioTracks = function() {
+  return this.streams.filter(function(stream) {
+    return stream.codec_type === 'audio';
+  });
+};
+
+
+/**
+ * Get subtitle streams
+ *
+ * @method Metadata#subtitleTracks
+ * @return {Object[]} subtitle streams
+ */
+Metadata.prototype.subtitleTracks = function() {
+  return this.streams.filter(function(stream) {
+    return stream.codec_type === 'subtitle';
+  });
+};
+
+
+/**
+ * Get the primary video stream
+ *
+ * The primary video stream is the video stream with the highest resolution,
+ * attached pictures excepted.  The first one wins when several streams have the
+ * same resolution.
+ *
+ * @method Metadata#primaryVideo
+ * @return {Object|null} video stream, or null when there is no video stream
+ */
+Metadata.prototype.primaryVideo = function() {
+  return this.videoTracks().reduce(function(biggest, stream) {
+    if (!biggest || stream.width * stream.height > biggest.width * biggest.height) {
+      return stream;
+    } else {
+      return biggest;
+    }
+  }, null);
+};
+
+
+/**
+ * Check whether there is a video stream, attached pictures excepted
+ *
+ * @method Metadata#hasVideo
+ * @return {Boolean}
+ */
+Metadata.prototype.hasVideo = function() {
+  return this.videoTracks().length > 0;
+};
+
+
+/**
+ * Check whether there is an audio stream
+ *
+ * @method Metadata#hasAudio
+ * @return {Boolean}
+ */
+Metadata.prototype.hasAudio = function() {
+  return this.audioTracks().length > 0;
+};
+
+
+/**
+ * Get the duration in seconds
+ *
+ * Uses the container duration, or the longest stream duration when the container
+ * has none.
+ *
+ * @method Metadata#durationSeconds
+ * @return {Number|null} duration in seconds, or null when unknown
+ */
+Metadata.prototype.durationSeconds = function() {
+  var duration = Number(this.format.duration);
+
+  if (isFinite(duration) && duration > 0) {
+    return duration;
+  }
+
+  duration = this.streams.reduce(function(longest, stream) {
+    var streamDuration = Number(stream.duration);
+    return isFinite(streamDuration) && streamDuration > longest ? streamDuration : longest;
+  }, 0);
+
+  return duration > 0 ? duration : null;
+};
+
+
+/**
+ * Get the frame rate of a video stream
+ *
+ * Uses the average frame rate, or the base frame rate when the average is unknown.
+ *
+ * @method Metadata#frameRate
+ * @param {Object} [stream] video stream, defaults to the primary video stream
+ * @return {Number|null} frames per second, or null when unknown
+ */
+Metadata.prototype.frameRate = function(stream) {
+  stream = stream || this.primaryVideo();
+
+  if (!stream) {
+    return null;
+  }
+
+  return parseRatio(stream.avg_frame_rate) || parseRatio(stream.r_frame_rate);
+};
+
+
+/**
+ * Get the rotation of a video stream
+ *
+ * Reads the display matrix side data, or the 'rotate' tag set by older ffmpeg
+ * versions.
+ *
+ * @method Metadata#rotation
+ * @param {Object} [stream] video stream, defaults to the primary video stream
+ * @return {Number|null} clockwise rotation in degrees (0, 90, 180 or 270 for most files),
+ *   or null when there is no video stream
+ */
+Metadata.prototype.rotation = function(stream) {
+  stream = stream || this.primaryVideo();
+
+  if (!stream) {
+    return null;
+  }
+
+  var rotation = 0;
+
+  var displayMatrix = (stream.side_data_list || []).filter(function(sideData) {
+    return 'rotation' in sideData;
+  })[0];
+
+  if (displayMatrix) {
+    // Display matrix rotations are counterclockwise
+    rotation = -Number(displayMatrix.rotation);
+  } else if (stream.tags && 'rotate' in stream.tags) {
+    rotation = Number(stream.tags.rotate);
+  }
+
+  if (!isFinite(rotation)) {
+    return 0;
+  }
+
+  return ((Math.round(rotation) % 360) + 360) % 360;
+};
+
+
+/**
+ * Get the display aspect ratio of a video stream
+ *
+ * Takes the sample aspect ratio and the rotation into account.
+ *
+ * @method Metadata#displayAspect
+ * @param {Object} [stream] video stream, defaults to the primary video stream
+ * @return {Number|null} display width divided by display height, or null when unknown
+ */
+Metadata.prototype.displayAspect = function(stream) {
+  stream = stream || this.primaryVideo();
+
+  if (!stream || !Number(stream.width) || !Number(stream.height)) {
+    return null;
+  }
+
+  var aspect = Number(stream.width) * (parseRatio(stream.sample_aspect_ratio) || 1) / Number(stream.height);
+
+  return this.rotation(stream) % 180 === 90 ? 1 / aspect : aspect;
+};
+
+
+/**
+ * Check whether a video stream uses HDR transfer characteristics (PQ or HLG)
+ *
+ * @method Metadata#isHDR
+ * @param {Object} [stream] video stream, defaults to the primary video stream
+ * @return {Boolean}
+ */
+Metadata.prototype.isHDR = function(stream) {
+  stream = stream || this.primaryVideo();
+  return !!stream && HDR_TRANSFERS.indexOf(stream.color_transfer) !== -1;
+};
@@ -14,7 +14,9 @@ module.exports = function(proto) {
    * Also switches "current input", that is the input that will be affected
    * by subsequent input-related methods.
    *
-   * Note: only one stream input is supported for now.
+   * The first stream input is piped to ffmpeg stdin, other stream inputs
+   * are piped through additional file descriptors (pipe:3, pipe:4...), which
+   * is not supported on Windows.
    *
    * @method FfmpegCommand#input
    * @category Input
@@ -34,14 +36,6 @@ module.exports = function(proto) {
         throw new Error('Invalid input');
       }
 
-      var hasInputStream = this._inputs.some(function(input) {
-        return input.isStream;
-      });
-
-      if (hasInputStream) {
-        throw new Error('Only one input stream is supported');
-      }
-
       isStream = true;
       source.pause();
     } else {
@@ -12,6 +12,10 @@ module.exports = function(proto) {
   /**
    * Add output
    *
+   * The first stream output is piped from ffmpeg stdout, other stream outputs
+   * are piped through additional file descriptors (pipe:3, pipe:4...), which
+   * is not supported on Windows.
+   *
    * @method FfmpegCommand#output
    * @category Output
    * @aliases addOutput
@@ -44,16 +48,6 @@ module.exports = function(proto) {
       this._currentOutput.isFile = isFile;
       this._currentOutput.pipeopts = pipeopts || {};
     } else {
-      if (target && typeof target !== 'string') {
-        var hasOutputStream = this._outputs.some(function(output) {
-          return typeof output.target !== 'string';
-        });
-
-        if (hasOutputStream) {
-          throw new Error('Only one output stream is supported');
-        }
-      }
-
       this._outputs.push(this._currentOutput = {
         target: target,
         isFile: isFile,
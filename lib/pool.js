@@ -0,0 +1,369 @@
+/*jshint node:true*/
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+
+/*
+ *! Command pool
+ */
+
+
+/**
+ * Create a command pool
+ *
+ * A pool runs the commands added to it in order, with at most 'concurrency'
+ * ffmpeg processes running at the same time.  Commands must have their
+ * outputs set before being added; the pool calls their run() method when
+ * their turn comes.
+ *
+ * Use {@link FfmpegCommand.createPool} to create a pool.
+ *
+ * @constructor
+ * @param {Object} [options] pool options
+ * @param {Number} [options.concurrency=1] maximum number of commands running at the same time
+ */
+function FfmpegPool(options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  this.concurrency = options.concurrency > 0 ? Math.floor(options.concurrency) : 1;
+
+  this._queue = [];
+  this._running = [];
+  this._nextId = 1;
+  this._scheduled = false;
+  this._counts = { total: 0, done: 0, failed: 0, cancelled: 0 };
+}
+util.inherits(FfmpegPool, EventEmitter);
+module.exports = FfmpegPool;
+
+
+/**
+ * Emitted when a job ffmpeg process has been spawned
+ *
+ * @event FfmpegPool#jobStart
+ * @param {Object} job job object
+ * @param {String} command ffmpeg command line
+ */
+
+/**
+ * Emitted when a job reports progress information
+ *
+ * @event FfmpegPool#jobProgress
+ * @param {Object} job job object
+ * @param {Object} progress progress object, see {@link FfmpegCommand#event:progress}
+ */
+
+/**
+ * Emitted when a job finishes successfully
+ *
+ * @event FfmpegPool#jobEnd
+ * @param {Object} job job object
+ * @param {String|null} stdout ffmpeg stdout, unless outputting to a stream
+ * @param {String|null} stderr ffmpeg stderr
+ */
+
+/**
+ * Emitted when a job fails
+ *
+ * @event FfmpegPool#jobError
+ * @param {Object} job job object
+ * @param {Error} error error object
+ */
+
+/**
+ * Emitted when a queued or running job is cancelled
+ *
+ * @event FfmpegPool#jobCancel
+ * @param {Object} job job object
+ */
+
+/**
+ * Emitted each time a job starts, progresses or finishes
+ *
+ * @event FfmpegPool#progress
+ * @param {Object} stats pool statistics, see {@link FfmpegPool#stats}
+ */
+
+/**
+ * Emitted when no job is queued or running anymore
+ *
+ * @event FfmpegPool#drain
+ * @param {Object} stats pool statistics, see {@link FfmpegPool#stats}
+ */
+
+
+/**
+ * Add a command to the pool
+ *
+ * The command is started as soon as fewer than 'concurrency' commands are
+ * running, at the earliest on the next tick so that listeners can still be
+ * added to the pool and the command.
+ *
+ * Job objects have the following keys:
+ * - 'id': job number, starting at 1
+ * - 'command': the FfmpegCommand instance
+ * - 'state': one of 'queued', 'running', 'done', 'failed' and 'cancelled'
+ * - 'progress': last progress object reported by the command, or null
+ * - 'error': error object when the job failed, or null
+ *
+ * @method FfmpegPool#add
+ * @aliases push
+ *
+ * @param {FfmpegCommand} command command to run
+ * @return {Object} job object
+ */
+FfmpegPool.prototype.push =
+FfmpegPool.prototype.add = function(command) {
+  var job = {
+    id: this._nextId++,
+    command: command,
+    state: 'queued',
+    progress: null,
+    error: null
+  };
+
+  this._queue.push(job);
+  this._counts.total++;
+  this._schedule();
+
+  return job;
+};
+
+
+/**
+ * Cancel a job
+ *
+ * Queued jobs are removed from the queue; running jobs have their ffmpeg
+ * process killed.  Jobs that already finished are left untouched.
+ *
+ * @method FfmpegPool#cancel
+ *
+ * @param {Object|FfmpegCommand} job job object or command to cancel
+ * @return {Boolean} whether the job was cancelled
+ */
+FfmpegPool.prototype.cancel = function(job) {
+  var found = this._queue.concat(this._running).filter(function(j) {
+    return j === job || j.command === job;
+  })[0];
+
+  if (!found) {
+    return false;
+  }
+
+  if (found.state === 'queued') {
+    this._queue.splice(this._queue.indexOf(found), 1);
+    this._finish(found, 'cancelled');
+    this.emit('jobCancel', found);
+    this._emitProgress();
+    this._schedule();
+  } else if (!found._cancelling) {
+    // Let the command 'error' event complete cancellation
+    found._cancelling = true;
+
+    if (found.command.ffmpegProc) {
+      found.command.kill();
+    } else {
+      // Still preparing, kill ffmpeg as soon as it is spawned (the listener
+      // is removed when the job finishes, in case ffmpeg is never spawned)
+      found._killOnStart = function() {
+        found.command.kill();
+      };
+
+      found.command.once('start', found._killOnStart);
+    }
+  }
+
+  return true;
+};
+
+
+/**
+ * Cancel all queued and running jobs
+ *
+ * @method FfmpegPool#cancelAll
+ */
+FfmpegPool.prototype.cancelAll = function() {
+  var self = this;
+
+  // Cancel queued jobs first so that they are not started when running jobs end
+  this._queue.slice().concat(this._running.slice()).forEach(function(job) {
+    self.cancel(job);
+  });
+};
+
+
+/**
+ * Get pool statistics
+ *
+ * The returned object has 'total', 'queued', 'running', 'done', 'failed'
+ * and 'cancelled' job counts, and an overall 'percent' progress, computed
+ * from running jobs progress and counting finished jobs as 100%.
+ *
+ * @method FfmpegPool#stats
+ * @return {Object} pool statistics
+ */
+FfmpegPool.prototype.stats = function() {
+  var counts = this._counts;
+  var active = counts.total - counts.cancelled;
+  var percent = (counts.done + counts.failed) * 100;
+
+  this._running.forEach(function(job) {
+    if (job.progress && job.progress.percent) {
+      percent += Math.min(100, job.progress.percent);
+    }
+  });
+
+  return {
+    total: counts.total,
+    queued: this._queue.length,
+    running: this._running.length,
+    done: counts.done,
+    failed: counts.failed,
+    cancelled: counts.cancelled,
+    percent: active > 0 ? percent / active : 100
+  };
+};
+
+
+/**
+ * Start queued jobs on next tick
+ *
+ * @method FfmpegPool#_schedule
+ * @private
+ */
+FfmpegPool.prototype._schedule = function() {
+  var self = this;
+
+  if (!this._scheduled) {
+    this._scheduled = true;
+
+    process.nextTick(function() {
+      self._scheduled = false;
+      self._next();
+    });
+  }
+};
+
+
+/**
+ * Start queued jobs while below concurrency limit
+ *
+ * @method FfmpegPool#_next
+ * @private
+ */
+FfmpegPool.prototype._next = function() {
+  while (this._queue.length && this._running.length < this.concurrency) {
+    this._start(this._queue.shift());
+  }
+
+  if (!this._queue.length && !this._running.length) {
+    this.emit('drain', this.stats());
+  }
+};
+
+
+/**
+ * Run a job command
+ *
+ * @method FfmpegPool#_start
+ * @param {Object} job job object
+ * @private
+ */
+FfmpegPool.prototype._start = function(job) {
+  var self = this;
+  var command = job.command;
+
+  job.state = 'running';
+  this._running.push(job);
+
+  function onStart(commandLine) {
+    self.emit('jobStart', job, commandLine);
+    self._emitProgress();
+  }
+
+  function onProgress(progress) {
+    job.progress = progress;
+    self.emit('jobProgress', job, progress);
+    self._emitProgress();
+  }
+
+  function onEnd(stdout, stderr) {
+    cleanup();
+    self._finish(job, 'done');
+    self.emit('jobEnd', job, stdout, stderr);
+    self._emitProgress();
+    self._next();
+  }
+
+  function onError(err) {
+    cleanup();
+
+    if (job._cancelling) {
+      self._finish(job, 'cancelled');
+      self.emit('jobCancel', job);
+    } else {
+      job.error = err;
+      self._finish(job, 'failed');
+      self.emit('jobError', job, err);
+    }
+
+    self._emitProgress();
+    self._next();
+  }
+
+  function cleanup() {
+    command.removeListener('start', onStart);
+    command.removeListener('progress', onProgress);
+    command.removeListener('end', onEnd);
+    command.removeListener('error', onError);
+
+    if (job._killOnStart) {
+      command.removeListener('start', job._killOnStart);
+    }
+
+    self._running.splice(self._running.indexOf(job), 1);
+  }
+
+  command
+    .on('start', onStart)
+    .on('progress', onProgress)
+    .on('end', onEnd)
+    .on('error', onError);
+
+  try {
+    command.run();
+  } catch(err) {
+    onError(err);
+  }
+};
+
+
+/**
+ * Mark a job as finished
+ *
+ * @method FfmpegPool#_finish
+ * @param {Object} job job object
+ * @param {String} state final job state
+ * @private
+ */
+FfmpegPool.prototype._finish = function(job, state) {
+  job.state = state;
+  delete job._cancelling;
+  delete job._killOnStart;
+  this._counts[state]++;
+};
+
+
+/**
+ * Emit aggregate 'progress' event
+ *
+ * @method FfmpegPool#_emitProgress
+ * @private
+ */
+FfmpegPool.prototype._emitProgress = function() {
+  this.emit('progress', this.stats());
+};
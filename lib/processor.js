@@ -6,6 +6,7 @@ var path = require('path');
 var fs = require('fs');
 var async = require('async');
 var utils = require('./utils');
+var errors = require('./errors');
 
 /*
  *! Processor methods
@@ -13,20 +14,67 @@ var utils = require('./utils');
 
 
 /**
- * Run ffprobe asynchronously and store data in command
+ * Run ffprobe asynchronously on all inputs and store the expected output duration in command
  *
  * @param {FfmpegCommand} command
  * @private
  */
 function runFfprobe(command) {
-  const inputProbeIndex = 0;
-  if (command._inputs[inputProbeIndex].isStream) {
-    // Don't probe input streams as this will consume them
-    return;
+  // Input streams are not probed as this would consume them
+  command.probeAll(function(err, metadata) {
+    if (!err) {
+      command._ffprobeData = metadata[0];
+      command._outputDuration = utils.outputDuration(command, metadata);
+    }
+  });
+}
+
+
+/**
+ * Assign ffmpeg file descriptors to the progress pipe and stream inputs/outputs
+ *
+ * The first input stream is piped to ffmpeg stdin and the first output stream
+ * is piped from ffmpeg stdout.  The progress pipe and other streams use additional
+ * file descriptors starting at 3.
+ *
+ * @param {FfmpegCommand} command
+ * @return {Object} object with 'count' (number of pipes to open), 'progress' (progress fd or null),
+ *   'inputs' and 'outputs' (fd for each command input/output, null for non-stream ones) keys
+ * @private
+ */
+function getPipes(command) {
+  var pipes = { count: 3, progress: null, inputs: [], outputs: [] };
+  var stdinUsed = false;
+  var stdoutUsed = false;
+
+  // ffmpeg cannot open "pipe:3" on Windows, progress is then parsed from ffmpeg output
+  if (command.options.progressPipe && !utils.isWindows) {
+    pipes.progress = pipes.count++;
   }
-  command.ffprobe(inputProbeIndex, function(err, data) {
-    command._ffprobeData = data;
+
+  pipes.inputs = command._inputs.map(function(input) {
+    if (!input.isStream) {
+      return null;
+    } else if (!stdinUsed) {
+      stdinUsed = true;
+      return 0;
+    } else {
+      return pipes.count++;
+    }
   });
+
+  pipes.outputs = command._outputs.map(function(output) {
+    if (!output.target || typeof output.target === 'string') {
+      return null;
+    } else if (!stdoutUsed) {
+      stdoutUsed = true;
+      return 1;
+    } else {
+      return pipes.count++;
+    }
+  });
+
+  return pipes;
 }
 
 
@@ -49,6 +97,10 @@ module.exports = function(proto) {
    * @param {Number} progress.targetSize current output file size
    * @param {String} progress.timemark current video timemark
    * @param {Number} [progress.percent] processing progress (may not be available depending on input)
+   * @param {Number} [progress.speed] processing speed relative to realtime (only with the 'progressPipe' option, not on Windows)
+   * @param {Number} [progress.droppedFrames] number of dropped frames (only with the 'progressPipe' option, not on Windows)
+   * @param {Number} [progress.duplicatedFrames] number of duplicated frames (only with the 'progressPipe' option, not on Windows)
+   * @param {Number} [progress.eta] estimated remaining processing time in seconds (may not be available depending on input)
    */
 
   /**
@@ -73,6 +125,9 @@ module.exports = function(proto) {
   /**
    * Emitted when an error happens when preparing or running a command
    *
+   * The error is an instance of one of the {@link FfmpegCommand.FfmpegError} subclasses,
+   * or an 'AbortError' when cancelled with an AbortSignal.
+   *
    * @event FfmpegCommand#error
    * @param {Error} error error object, with optional properties 'inputStreamError' / 'outputStreamError' for errors on their respective streams
    * @param {String|null} stdout ffmpeg stdout, unless outputting to a stream
@@ -96,6 +151,9 @@ module.exports = function(proto) {
    * - `cwd`: change working directory
    * - 'captureStdout': capture stdout and pass it to 'endCB' as its 2nd argument (default: false)
    * - 'stdoutLines': override command limit (default: use command limit)
+   * - 'signal': AbortSignal passed to spawn(); ffmpeg is not spawned at all when it is already aborted
+   * - 'pipes': number of pipes to open, including stdin/stdout/stderr (default: 3)
+   * - 'progressFd': file descriptor to read ffmpeg '-progress' output from (default: none)
    *
    * The 'processCB' callback, if present, is called as soon as the process is created and
    * receives a nodejs ChildProcess object.  It may not be called at all if an error happens
@@ -106,7 +164,7 @@ module.exports = function(proto) {
    * @method FfmpegCommand#_spawnFfmpeg
    * @param {Array} args ffmpeg command line argument list
    * @param {Object} [options] spawn options (see above)
-   * @param {Function} [processCB] callback called with process object and stdout/stderr ring buffers when process has been created
+   * @param {Function} [processCB] callback called with process object, stdout/stderr ring buffers and progress ring buffer (when using 'progressFd') when process has been created
    * @param {Function} endCB callback called with error (if applicable) and stdout/stderr ring buffers when process finished
    * @private
    */
@@ -131,9 +189,19 @@ module.exports = function(proto) {
       if (err) {
         return endCB(err);
       } else if (!command || command.length === 0) {
-        return endCB(new Error('Cannot find ffmpeg'));
+        return endCB(new errors.BinaryNotFoundError('Cannot find ffmpeg', { args: args }));
+      }
+
+      if (options.signal && options.signal.aborted) {
+        return endCB(utils.abortError(options.signal));
       }
 
+      // Keep ffmpeg arguments and inputs for errors
+      var ffmpegArgs = args.slice();
+      var inputs = ffmpegArgs.filter(function(arg, index) {
+        return ffmpegArgs[index - 1] === '-i';
+      });
+
       // Apply niceness
       if (options.niceness && options.niceness !== 0 && !utils.isWindows) {
         args.unshift('-n', options.niceness, command);
@@ -146,6 +214,17 @@ module.exports = function(proto) {
       var stderrRing = utils.linesRing(maxLines);
       var stderrClosed = false;
 
+      // Progress lines are only passed to callbacks, don't keep them
+      var progressRing = options.progressFd ? utils.linesRing(1) : null;
+      var progressClosed = !options.progressFd;
+
+      if (options.pipes > 3) {
+        options.stdio = [];
+        for (var fd = 0; fd < options.pipes; fd++) {
+          options.stdio.push('pipe');
+        }
+      }
+
       var ffmpegProc = spawn(command, args, options);
 
       if (ffmpegProc.stderr) {
@@ -153,18 +232,25 @@ module.exports = function(proto) {
       }
 
       ffmpegProc.on('error', function(err) {
-        endCB(err);
+        endCB(errors.fromSpawn(err, ffmpegArgs), stdoutRing, stderrRing);
       });
 
       // Ensure we wait for captured streams to end before calling endCB
-      var exitError = null;
-      function handleExit(err) {
-        if (err) {
-          exitError = err;
-        }
-
-        if (processExited && (stdoutClosed || !options.captureStdout) && stderrClosed) {
-          endCB(exitError, stdoutRing, stderrRing);
+      var exitCode = null;
+      var exitSignal = null;
+      function handleExit() {
+        if (processExited && (stdoutClosed || !options.captureStdout) && stderrClosed && progressClosed) {
+          endCB(
+            errors.fromExit('ffmpeg', {
+              exitCode: exitCode,
+              signal: exitSignal,
+              args: ffmpegArgs,
+              stderr: stderrRing.get(),
+              inputs: inputs
+            }),
+            stdoutRing,
+            stderrRing
+          );
         }
       }
 
@@ -172,14 +258,9 @@ module.exports = function(proto) {
       var processExited = false;
       ffmpegProc.on('exit', function(code, signal) {
         processExited = true;
-
-        if (signal) {
-          handleExit(new Error('ffmpeg was killed with signal ' + signal));
-        } else if (code) {
-          handleExit(new Error('ffmpeg exited with code ' + code));
-        } else {
-          handleExit();
-        }
+        exitCode = code;
+        exitSignal = signal;
+        handleExit();
       });
 
       // Capture stdout if specified
@@ -206,8 +287,23 @@ module.exports = function(proto) {
         handleExit();
       });
 
+      // Capture progress if specified
+      if (options.progressFd) {
+        var progressPipe = ffmpegProc.stdio[options.progressFd];
+
+        progressPipe.on('data', function(data) {
+          progressRing.append(data);
+        });
+
+        progressPipe.on('close', function() {
+          progressRing.close();
+          progressClosed = true;
+          handleExit();
+        });
+      }
+
       // Call process callback
-      processCB(ffmpegProc, stdoutRing, stderrRing);
+      processCB(ffmpegProc, stdoutRing, stderrRing, progressRing);
     });
   };
 
@@ -226,10 +322,12 @@ module.exports = function(proto) {
       return output.isFile;
     });
 
+    var pipes = getPipes(this);
+
     return [].concat(
         // Inputs and input options
-        this._inputs.reduce(function(args, input) {
-          var source = (typeof input.source === 'string') ? input.source : 'pipe:0';
+        this._inputs.reduce(function(args, input, index) {
+          var source = (typeof input.source === 'string') ? input.source : 'pipe:' + pipes.inputs[index];
 
           // For each input, add input options, then '-i <source>'
           return args.concat(
@@ -241,6 +339,9 @@ module.exports = function(proto) {
         // Global options
         this._global.get(),
 
+        // Structured progress output
+        pipes.progress ? ['-progress', 'pipe:' + pipes.progress, '-nostats'] : [],
+
         // Overwrite if we have file outputs
         fileOutput ? ['-y'] : [],
 
@@ -248,7 +349,7 @@ module.exports = function(proto) {
         complexFilters,
 
         // Outputs, filters and output options
-        this._outputs.reduce(function(args, output) {
+        this._outputs.reduce(function(args, output, index) {
           var sizeFilters = utils.makeFilterStrings(output.sizeFilters.get());
           var audioFilters = output.audioFilters.get();
           var videoFilters = output.videoFilters.get().concat(sizeFilters);
@@ -259,7 +360,7 @@ module.exports = function(proto) {
           } else if (typeof output.target === 'string') {
             outputArg = [output.target];
           } else {
-            outputArg = ['pipe:1'];
+            outputArg = ['pipe:' + pipes.outputs[index]];
           }
 
           return args.concat(
@@ -288,6 +389,18 @@ module.exports = function(proto) {
    */
   proto._prepare = function(callback, readMetadata) {
     var self = this;
+    var signal = this.options.signal;
+
+    // Skip remaining steps as soon as options.signal is aborted
+    function abortable(step) {
+      return function() {
+        if (signal && signal.aborted) {
+          return arguments[arguments.length - 1](utils.abortError(signal));
+        }
+
+        step.apply(null, arguments);
+      };
+    }
 
     async.waterfall([
       // Check codecs and formats
@@ -295,6 +408,18 @@ module.exports = function(proto) {
         self._checkCapabilities(cb);
       },
 
+      // Read ffmpeg version (memoized per binary), used to parse its output
+      function(cb) {
+        self.ffmpegVersion(function(err, version) {
+          if (err) {
+            self.logger.warn('Could not read ffmpeg version, parsing its output as for ffmpeg < 5: ' + err.message);
+          }
+
+          self._ffmpegVersion = err ? null : version;
+          cb();
+        });
+      },
+
       // Read metadata if required
       function(cb) {
         if (!readMetadata) {
@@ -346,6 +471,10 @@ module.exports = function(proto) {
       // Add "-strict experimental" option where needed
       function(args, cb) {
         self.availableEncoders(function(err, encoders) {
+          if (err) {
+            return cb(err);
+          }
+
           for (var i = 0; i < args.length; i++) {
             if (args[i] === '-acodec' || args[i] === '-vcodec') {
               i++;
@@ -360,23 +489,7 @@ module.exports = function(proto) {
           cb(null, args);
         });
       }
-    ], callback);
-
-    if (!readMetadata) {
-      // Read metadata as soon as 'progress' listeners are added
-
-      if (this.listeners('progress').length > 0) {
-        // Read metadata in parallel
-        runFfprobe(this);
-      } else {
-        // Read metadata as soon as the first 'progress' listener is added
-        this.once('newListener', function(event) {
-          if (event === 'progress') {
-            runFfprobe(this);
-          }
-        });
-      }
-    }
+    ].map(abortable), callback);
   };
 
 
@@ -401,15 +514,25 @@ module.exports = function(proto) {
       throw new Error('No output specified');
     }
 
-    // Get output stream if any
-    var outputStream = this._outputs.filter(function(output) {
-      return typeof output.target !== 'string';
-    })[0];
-
-    // Get input stream if any
-    var inputStream = this._inputs.filter(function(input) {
+    // Get input/output streams and the file descriptors they are piped to
+    var pipes = getPipes(this);
+    var inputStreams = this._inputs.filter(function(input) {
       return typeof input.source !== 'string';
-    })[0];
+    });
+    var outputStreams = this._outputs.filter(function(output) {
+      return output.target && typeof output.target !== 'string';
+    });
+
+    // Handle cancellation through options.signal until ffmpeg is spawned,
+    // spawn() then takes care of killing the process
+    var signal = this.options.signal;
+    function onAbort() {
+      emitEnd(utils.abortError(signal));
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
 
     // Ensure we send 'end' or 'error' only once
     var ended = false;
@@ -417,6 +540,10 @@ module.exports = function(proto) {
       if (!ended) {
         ended = true;
 
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
         if (err) {
           self.emit('error', err, stdout, stderr);
         } else {
@@ -430,54 +557,91 @@ module.exports = function(proto) {
         return emitEnd(err);
       }
 
+      if (ended) {
+        // Aborted while preparing
+        return;
+      }
+
+      // Keep a copy of the argument list for runAsync()
+      self._lastArgs = args.slice();
+
       // Run ffmpeg
       self._spawnFfmpeg(
         args,
         {
-          captureStdout: !outputStream,
+          captureStdout: pipes.outputs.indexOf(1) === -1,
           niceness: self.options.niceness,
           cwd: self.options.cwd,
+          pipes: pipes.count,
+          progressFd: pipes.progress,
+          signal: signal,
+          killSignal: 'SIGKILL',
           windowsHide: true
         }, 
 
-        function processCB(ffmpegProc, stdoutRing, stderrRing) {
+        function processCB(ffmpegProc, stdoutRing, stderrRing, progressRing) {
           self.ffmpegProc = ffmpegProc;
           self.emit('start', 'ffmpeg ' + args.join(' '));
 
-          // Pipe input stream if any
-          if (inputStream) {
+          // Pipe input streams if any
+          inputStreams.forEach(function(inputStream) {
+            var ffmpegPipe = ffmpegProc.stdio[pipes.inputs[self._inputs.indexOf(inputStream)]];
+
             inputStream.source.on('error', function(err) {
-              var reportingErr = new Error('Input stream error: ' + err.message);
+              var reportingErr = new errors.InputError('Input stream error: ' + err.message, {
+                args: self._lastArgs,
+                cause: err
+              });
               reportingErr.inputStreamError = err;
               emitEnd(reportingErr);
               ffmpegProc.kill();
             });
 
             inputStream.source.resume();
-            inputStream.source.pipe(ffmpegProc.stdin);
+            inputStream.source.pipe(ffmpegPipe);
 
-            // Set stdin error handler on ffmpeg (prevents nodejs catching the error, but
+            // Set pipe error handler on ffmpeg (prevents nodejs catching the error, but
             // ffmpeg will fail anyway, so no need to actually handle anything)
-            ffmpegProc.stdin.on('error', function() {});
+            ffmpegPipe.on('error', function() {});
+          });
+
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
           }
 
           // Setup timeout if requested
           if (self.options.timeout) {
             self.processTimer = setTimeout(function() {
               var msg = 'process ran into a timeout (' + self.options.timeout + 's)';
+              var timeoutErr = new errors.TimeoutError(msg, {
+                args: self._lastArgs,
+                stderrLines: errors.stderrLines(stderrRing.get())
+              });
 
-              emitEnd(new Error(msg), stdoutRing.get(), stderrRing.get());
+              emitEnd(timeoutErr, stdoutRing.get(), stderrRing.get());
               ffmpegProc.kill();
             }, self.options.timeout * 1000);
           }
 
 
-          if (outputStream) {
-            // Pipe ffmpeg stdout to output stream
-            ffmpegProc.stdout.pipe(outputStream.target, outputStream.pipeopts);
+          outputStreams.forEach(function(outputStream) {
+            var ffmpegPipe = ffmpegProc.stdio[pipes.outputs[self._outputs.indexOf(outputStream)]];
+            var ffmpegPipeEnded = false;
+
+            ffmpegPipe.on('end', function() {
+              ffmpegPipeEnded = true;
+            });
+
+            // Pipe ffmpeg output to output stream
+            ffmpegPipe.pipe(outputStream.target, outputStream.pipeopts);
 
             // Handle output stream events
             outputStream.target.on('close', function() {
+              if (ffmpegPipeEnded) {
+                // ffmpeg is done writing to this output
+                return;
+              }
+
               self.logger.debug('Output stream closed, scheduling kill for ffmpeg process');
 
               // Don't kill process yet, to give a chance to ffmpeg to
@@ -485,19 +649,22 @@ module.exports = function(proto) {
               // under load, the process 'exit' event sometimes happens
               // after the output stream 'close' event.
               setTimeout(function() {
-                emitEnd(new Error('Output stream closed'));
+                emitEnd(new errors.OutputStreamError('Output stream closed', { args: self._lastArgs }));
                 ffmpegProc.kill();
               }, 20);
             });
 
             outputStream.target.on('error', function(err) {
               self.logger.debug('Output stream error, killing ffmpeg process');
-              var reportingErr = new Error('Output stream error: ' + err.message);
+              var reportingErr = new errors.OutputStreamError('Output stream error: ' + err.message, {
+                args: self._lastArgs,
+                cause: err
+              });
               reportingErr.outputStreamError = err;
               emitEnd(reportingErr, stdoutRing.get(), stderrRing.get());
               ffmpegProc.kill('SIGKILL');
             });
-          }
+          });
 
           // Setup stderr handling
           if (stderrRing) {
@@ -521,12 +688,21 @@ module.exports = function(proto) {
             }
 
             // 'progress' event
-            if (self.listeners('progress').length) {
+            if (self.listeners('progress').length && !progressRing) {
               stderrRing.callback(function(line) {
                 utils.extractProgress(self, line);
               });
             }
           }
+
+          // 'progress' event from ffmpeg '-progress' output
+          if (progressRing && self.listeners('progress').length) {
+            var progressObject = {};
+
+            progressRing.callback(function(line) {
+              utils.extractPipeProgress(self, line, progressObject);
+            });
+          }
         },
 
         function endCB(err, stdoutRing, stderrRing) {
@@ -534,12 +710,12 @@ module.exports = function(proto) {
           delete self.ffmpegProc;
 
           if (err) {
-            if (err.message.match(/ffmpeg exited with code/)) {
+            if (err.exitCode) {
               // Add ffmpeg error message
-              err.message += ': ' + utils.extractError(stderrRing.get());
+              err.message += ': ' + err.stderrLines.join('\n');
             }
 
-            emitEnd(err, stdoutRing.get(), stderrRing.get());
+            emitEnd(err, stdoutRing && stdoutRing.get(), stderrRing && stderrRing.get());
           } else {
             // Find out which outputs need flv metadata
             var flvmeta = self._outputs.filter(function(output) {
@@ -589,10 +765,122 @@ module.exports = function(proto) {
       );
     });
 
+    // Read metadata as soon as 'progress' listeners are added
+    if (this.listeners('progress').length > 0) {
+      // Read metadata in parallel
+      runFfprobe(this);
+    } else {
+      // Read metadata as soon as the first 'progress' listener is added
+      this.once('newListener', function(event) {
+        if (event === 'progress') {
+          runFfprobe(this);
+        }
+      });
+    }
+
     return this;
   };
 
 
+  /**
+   * Build the ffmpeg command without running it
+   *
+   * Runs the same preparation steps as {@link FfmpegCommand#run} (capability
+   * checks, '-strict experimental' insertion...) and calls 'callback' with an
+   * object with the following keys:
+   * - 'path': resolved path of the ffmpeg binary
+   * - 'args': complete ffmpeg argument list
+   *
+   * Note that niceness is not applied to the result.
+   *
+   * @method FfmpegCommand#toArgs
+   * @category Processing
+   * @aliases dryRun
+   *
+   * @param {Function} [callback] callback with signature (err, result)
+   * @return {Promise|undefined} promise resolving to the result object when no callback is given
+   */
+  proto.dryRun =
+  proto.toArgs = function(callback) {
+    if (typeof callback !== 'function') {
+      return utils.toPromise(this.toArgs.bind(this));
+    }
+
+    var self = this;
+
+    var outputPresent = this._outputs.some(function(output) {
+      return 'target' in output;
+    });
+
+    if (!outputPresent) {
+      return callback(new Error('No output specified'));
+    }
+
+    this._prepare(function(err, args) {
+      if (err) {
+        return callback(err);
+      }
+
+      self._getFfmpegPath(function(err, command) {
+        if (err) {
+          return callback(err);
+        } else if (!command || command.length === 0) {
+          return callback(new errors.BinaryNotFoundError('Cannot find ffmpeg', { args: args }));
+        }
+
+        callback(null, { path: command, args: args });
+      });
+    });
+  };
+
+
+  /**
+   * Run ffmpeg command and return a promise
+   *
+   * The promise resolves when the command emits 'end' and rejects with the
+   * same error object as the 'error' event.  'end' and 'error' events are
+   * still emitted as with {@link FfmpegCommand#run}.
+   *
+   * @example
+   *   var result = await ffmpeg('/path/to/file.avi')
+   *     .output('/path/to/file.mp4')
+   *     .runAsync();
+   *
+   * @method FfmpegCommand#runAsync
+   * @category Processing
+   * @aliases execAsync,executeAsync
+   *
+   * @return {Promise} promise resolving to an object with 'stdout', 'stderr'
+   *   and 'args' (ffmpeg argument list) properties
+   */
+  proto.execAsync =
+  proto.executeAsync =
+  proto.runAsync = function() {
+    var self = this;
+
+    return new Promise(function(resolve, reject) {
+      function onEnd(stdout, stderr) {
+        self.removeListener('error', onError);
+        resolve({ stdout: stdout, stderr: stderr, args: self._lastArgs });
+      }
+
+      function onError(err) {
+        self.removeListener('end', onEnd);
+        reject(err);
+      }
+
+      self.once('end', onEnd);
+      self.once('error', onError);
+
+      try {
+        self.run();
+      } catch(err) {
+        onError(err);
+      }
+    });
+  };
+
+
   /**
    * Renice current and/or future ffmpeg processes
    *
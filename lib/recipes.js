@@ -2,12 +2,73 @@
 'use strict';
 
 var fs = require('fs');
+var os = require('os');
 var path = require('path');
 var PassThrough = require('stream').PassThrough;
+var Duplex = require('stream').Duplex;
 var async = require('async');
 var utils = require('./utils');
 
 
+// Encoders used to re-encode partial GOPs when cutting in 'smart' mode, by codec name
+var SMART_CUT_ENCODERS = {
+  h264: 'libx264',
+  hevc: 'libx265',
+  vp8: 'libvpx',
+  vp9: 'libvpx-vp9',
+  av1: 'libaom-av1',
+  mpeg4: 'mpeg4',
+  mpeg2video: 'mpeg2video',
+  mpeg1video: 'mpeg1video',
+  mjpeg: 'mjpeg'
+};
+
+// Encoder profiles matching profile names reported by ffprobe, by codec name
+var SMART_CUT_PROFILES = {
+  h264: {
+    'Baseline': 'baseline',
+    'Constrained Baseline': 'baseline',
+    'Main': 'main',
+    'High': 'high',
+    'High 10': 'high10',
+    'High 4:2:2': 'high422',
+    'High 4:4:4 Predictive': 'high444'
+  },
+  hevc: {
+    'Main': 'main',
+    'Main 10': 'main10',
+    'Main Still Picture': 'mainstillpicture'
+  },
+  vp9: {
+    'Profile 0': '0',
+    'Profile 1': '1',
+    'Profile 2': '2',
+    'Profile 3': '3'
+  }
+};
+
+// Bitstream filters repeating parameter sets in copied packets, by codec name (defaults to dump_extra)
+var SMART_CUT_COPY_FILTERS = {
+  h264: 'h264_mp4toannexb',
+  hevc: 'hevc_mp4toannexb'
+};
+
+// Seconds read around cut points when seeking, to make up for inaccurate seeking in some formats
+var SMART_CUT_MARGIN = 5;
+
+/**
+ * Compute a cut duration, rounded to the microsecond
+ *
+ * @param {Number} start start time in seconds
+ * @param {Number} end end time in seconds
+ * @return {Number}
+ * @private
+ */
+function cutDuration(start, end) {
+  return Number((end - start).toFixed(6));
+}
+
+
 /*
  * Useful recipes for commands
  */
@@ -30,6 +91,22 @@ module.exports = function recipes(proto) {
   };
 
 
+  /**
+   * Execute ffmpeg command, save output to a file and return a promise
+   *
+   * @method FfmpegCommand#saveAsync
+   * @category Processing
+   * @aliases saveToFileAsync
+   *
+   * @param {String} output file path
+   * @return {Promise} promise resolving as with {@link FfmpegCommand#runAsync}
+   */
+  proto.saveToFileAsync =
+  proto.saveAsync = function(output) {
+    return this.output(output).runAsync();
+  };
+
+
   /**
    * Execute ffmpeg command and save output to a stream
    *
@@ -66,6 +143,109 @@ module.exports = function recipes(proto) {
   };
 
 
+  /**
+   * Execute ffmpeg command as a duplex stream
+   *
+   * Data written to the returned stream is piped to a new command input, and
+   * the command output is read from it, so that the command can be used in
+   * a stream pipeline.  Processing starts immediately.
+   *
+   * The duplex stream is destroyed with the command error when processing
+   * fails, and destroying it kills the ffmpeg process.  The readable side
+   * ends only when ffmpeg has finished successfully.
+   *
+   * @example
+   * stream.pipeline(source, ffmpeg().format('mp3').asTransform(), destination, callback);
+   *
+   * @method FfmpegCommand#asTransform
+   * @category Processing
+   *
+   * @param {Object} [options={}] duplex stream options
+   * @return {stream.Duplex} duplex stream
+   */
+  proto.asTransform = function(options) {
+    var self = this;
+    var input = new PassThrough();
+    var output = new PassThrough();
+    var outputEnded = false;
+    var commandEnded = false;
+
+    var duplexOptions = {};
+    utils.copy(options || {}, duplexOptions);
+
+    utils.copy({
+      write: function(chunk, encoding, callback) {
+        if (input.write(chunk, encoding)) {
+          callback();
+        } else {
+          input.once('drain', callback);
+        }
+      },
+
+      final: function(callback) {
+        input.end();
+        callback();
+      },
+
+      read: function() {
+        output.resume();
+      },
+
+      destroy: function(err, callback) {
+        // Make sure ffmpeg terminates
+        if (!commandEnded) {
+          input.end();
+          output.resume();
+
+          if (self.ffmpegProc) {
+            self.kill();
+          }
+        }
+
+        callback(err);
+      }
+    }, duplexOptions);
+
+    var duplex = new Duplex(duplexOptions);
+
+    function endReadable() {
+      if (outputEnded && commandEnded) {
+        duplex.push(null);
+      }
+    }
+
+    output.on('data', function(chunk) {
+      if (!duplex.push(chunk)) {
+        output.pause();
+      }
+    });
+
+    output.on('end', function() {
+      outputEnded = true;
+      endReadable();
+    });
+
+    this
+      .on('start', function() {
+        // The duplex stream was destroyed before ffmpeg was spawned
+        if (duplex.destroyed) {
+          self.kill();
+        }
+      })
+      .on('error', function(err) {
+        commandEnded = true;
+        duplex.destroy(err);
+      })
+      .on('end', function() {
+        commandEnded = true;
+        endReadable();
+      });
+
+    this.input(input).output(output).run();
+    return duplex;
+  };
+
+
   /**
    * Generate images from a video
    *
@@ -157,7 +337,7 @@ module.exports = function recipes(proto) {
       if (metadata) {
         cb(null, metadata);
       } else {
-        self.ffprobe(function(err, meta) {
+        self.metadata(function(err, meta) {
           metadata = meta;
           cb(err, meta);
         });
@@ -177,15 +357,9 @@ module.exports = function recipes(proto) {
               next(err);
             } else {
               // Select video stream with the highest resolution
-              var vstream = meta.streams.reduce(function(biggest, stream) {
-                if (stream.codec_type === 'video' && stream.width * stream.height > biggest.width * biggest.height) {
-                  return stream;
-                } else {
-                  return biggest;
-                }
-              }, { width: 0, height: 0 });
+              var vstream = meta.primaryVideo();
 
-              if (vstream.width === 0) {
+              if (!vstream) {
                 return next(new Error('No video stream in input, cannot take screenshots'));
               }
 
@@ -266,15 +440,9 @@ module.exports = function recipes(proto) {
               return next(new Error('Could not determine video resolution to replace %w, %h or %r'));
             }
 
-            var vstream = meta.streams.reduce(function(biggest, stream) {
-              if (stream.codec_type === 'video' && stream.width * stream.height > biggest.width * biggest.height) {
-                return stream;
-              } else {
-                return biggest;
-              }
-            }, { width: 0, height: 0 });
+            var vstream = meta.primaryVideo();
 
-            if (vstream.width === 0) {
+            if (!vstream) {
               return next(new Error('No video stream in input, cannot replace %w, %h or %r'));
             }
 
@@ -425,27 +593,19 @@ module.exports = function recipes(proto) {
     })[0];
 
     var self = this;
-    this.ffprobe(this._inputs.indexOf(fileInput), function(err, data) {
+    this.metadata(this._inputs.indexOf(fileInput), function(err, meta) {
       if (err) {
         return self.emit('error', err);
       }
 
-      var hasAudioStreams = data.streams.some(function(stream) {
-        return stream.codec_type === 'audio';
-      });
-
-      var hasVideoStreams = data.streams.some(function(stream) {
-        return stream.codec_type === 'video';
-      });
-
       // Setup concat filter and start processing
       self.output(target, options)
         .complexFilter({
           filter: 'concat',
           options: {
             n: self._inputs.length,
-            v: hasVideoStreams ? 1 : 0,
-            a: hasAudioStreams ? 1 : 0
+            v: meta.hasVideo() ? 1 : 0,
+            a: meta.hasAudio() ? 1 : 0
           }
         })
         .run();
@@ -453,4 +613,446 @@ module.exports = function recipes(proto) {
 
     return this;
   };
+
+
+  /**
+   * Cut a part of the current input to a file
+   *
+   * Three cutting modes are available:
+   * - 'copy' (default) copies streams without re-encoding them; the cut start is
+   *   moved back to the previous keyframe so that the output does not begin with
+   *   undecodable frames
+   * - 'accurate' re-encodes streams, using output codecs and options set on the
+   *   command before calling cut(), and cuts at the exact requested times
+   * - 'smart' cuts at the exact requested times but only re-encodes video frames
+   *   between the cut points and the nearest keyframes inside the cut; full GOPs
+   *   are copied.  Re-encoded frames use an encoder matching the source codec,
+   *   profile, pixel format and time base.  Audio streams are copied.  Pieces
+   *   are rendered in a temporary directory before being joined to the output
+   *   with the concat demuxer.
+   *
+   * In 'smart' mode, falls back to 'accurate' mode when there is no full GOP
+   * between the cut points, and to 'copy' mode when the input has no video.
+   *
+   * Emits the same events as {@link FfmpegCommand#run}; in 'smart' mode, events
+   * are only emitted for the final concatenation step.
+   *
+   * @method FfmpegCommand#cut
+   * @category Processing
+   * @aliases trim
+   *
+   * @param {Object} options cut options
+   * @param {String|Writable} options.target output file or writable stream
+   * @param {Number|String} [options.start=0] cut start, in seconds or as a '[[hh:]mm:]ss[.xxx]' string
+   * @param {Number|String} [options.end] cut end, in seconds or as a '[[hh:]mm:]ss[.xxx]' string, defaults to the end of the input
+   * @param {String} [options.mode='copy'] cutting mode, one of 'copy', 'accurate' and 'smart'
+   * @return FfmpegCommand
+   */
+  proto.trim =
+  proto.cut = function(options) {
+    var self = this;
+    var input = this._currentInput;
+
+    options = options || {};
+
+    var mode = options.mode || 'copy';
+
+    if (!options.target) {
+      throw new Error('Cannot cut: no target specified');
+    }
+
+    if (['copy', 'accurate', 'smart'].indexOf(mode) === -1) {
+      throw new Error('Invalid cut mode: ' + mode);
+    }
+
+    if (!input) {
+      throw new Error('No input specified');
+    }
+
+    if (input.isStream && mode !== 'accurate') {
+      throw new Error('Cannot cut an input stream in ' + mode + ' mode, please use accurate mode');
+    }
+
+    var start = 'start' in options ? utils.timemarkToSeconds(options.start) : 0;
+    var end = 'end' in options ? utils.timemarkToSeconds(options.end) : null;
+
+    if (end !== null && end <= start) {
+      throw new Error('Cannot cut: end must be after start');
+    }
+
+    var inputIndex = this._inputs.indexOf(input);
+
+    function runCut(from, copy) {
+      if (from > 0) {
+        self.seekInput(from);
+      }
+
+      if (copy) {
+        // Some formats (eg. MPEG-PS) have packets without timestamps, that many muxers cannot copy
+        self.inputOptions('-fflags', '+genpts');
+      }
+
+      self.output(options.target);
+
+      if (end !== null) {
+        self.duration(cutDuration(from, end));
+      }
+
+      if (copy) {
+        self.outputOptions('-c', 'copy', '-avoid_negative_ts', 'make_zero');
+      }
+
+      self.run();
+    }
+
+    function copyCut() {
+      self.keyframes('v:0', { input: inputIndex }, function(err, keyframes) {
+        if (err) {
+          return self.emit('error', err);
+        }
+
+        // Inputs without video have no keyframe list, every audio packet can be cut on
+        var keyframe = keyframes.length ? utils.snapToKeyframe(keyframes, start, 'previous') : null;
+
+        if (keyframe !== null && keyframe !== start) {
+          self.logger.debug('Moving cut start to keyframe at ' + keyframe + 's');
+        }
+
+        runCut(keyframe === null ? start : keyframe, true);
+      });
+    }
+
+    function smartCut() {
+      var pieceOptions = {};
+      utils.copy(self.options, pieceOptions);
+      delete pieceOptions.source;
+
+      var tempDir = null;
+
+      function removeTempDir() {
+        if (tempDir) {
+          fs.rm(tempDir, { recursive: true, force: true }, function() {});
+          tempDir = null;
+        }
+      }
+
+      async.waterfall([
+        function probe(next) {
+          self.metadata(inputIndex, function(err, meta) {
+            next(err, meta);
+          });
+        },
+
+        // Find keyframes on the first video stream
+        function readKeyframes(meta, next) {
+          var vstream = meta.videoTracks()[0];
+
+          if (!vstream) {
+            return next(null, meta, null, []);
+          }
+
+          self.keyframes(vstream.index, { input: inputIndex }, function(err, keyframes) {
+            next(err, meta, vstream, keyframes);
+          });
+        },
+
+        // Split the cut in pieces, only partial GOPs are re-encoded
+        function planPieces(meta, vstream, keyframes, next) {
+          if (!vstream) {
+            self.logger.debug('No video stream in input, cutting in copy mode');
+            return next(null, { fallback: 'copy' });
+          }
+
+          var cutEnd = end !== null ? end : meta.durationSeconds();
+
+          if (cutEnd === null) {
+            return next(new Error('Could not get input duration, please specify a cut end'));
+          }
+
+          var first = utils.snapToKeyframe(keyframes, start, 'next');
+          var last = utils.snapToKeyframe(keyframes, cutEnd, 'previous');
+
+          if (first === null || last === null || first >= last) {
+            self.logger.debug('No full GOP between cut points, cutting in accurate mode');
+            return next(null, { fallback: 'accurate' });
+          }
+
+          var encoder = SMART_CUT_ENCODERS[vstream.codec_name];
+
+          if (!encoder) {
+            return next(new Error('Cannot smart cut ' + vstream.codec_name + ' video, please use copy or accurate mode'));
+          }
+
+          var pieces = [];
+
+          if (first > start) {
+            pieces.push({ start: start, end: first, encode: true });
+          }
+
+          pieces.push({ start: first, end: last, encode: false });
+
+          if (cutEnd > last) {
+            pieces.push({ start: last, end: cutEnd, encode: true });
+          }
+
+          next(null, {
+            pieces: pieces,
+            vstream: vstream,
+            encoder: encoder,
+            profile: (SMART_CUT_PROFILES[vstream.codec_name] || {})[vstream.profile],
+            keyframes: keyframes,
+            startTime: Number(meta.format.start_time) || 0,
+            hasAudio: meta.hasAudio(),
+            start: start,
+            end: cutEnd
+          });
+        },
+
+        // Move cut start to the first frame after it, so that pieces durations match their content
+        function alignStart(plan, next) {
+          var head = plan.pieces && plan.pieces[0];
+
+          if (plan.fallback || !head.encode) {
+            return next(null, plan);
+          }
+
+          var frameStart = null;
+
+          // ffprobe uses absolute timestamps
+          self.probeFrames(inputIndex, {
+            streams: plan.vstream.index,
+            interval: {
+              start: Math.max(0, utils.snapToKeyframe(plan.keyframes, head.start, 'previous') + plan.startTime - SMART_CUT_MARGIN),
+              end: head.end + plan.startTime
+            },
+            entries: ['best_effort_timestamp_time', 'pts_time']
+          })
+            .on('frame', function(frame) {
+              var time = typeof frame.best_effort_timestamp_time === 'number' ?
+                frame.best_effort_timestamp_time : frame.pts_time;
+
+              time = cutDuration(plan.startTime, time);
+
+              if (time >= head.start && time < head.end && (frameStart === null || time < frameStart)) {
+                frameStart = time;
+              }
+            })
+            .on('error', next)
+            .on('end', function() {
+              if (frameStart !== null) {
+                plan.start = head.start = frameStart;
+              }
+
+              next(null, plan);
+            });
+        },
+
+        function createTempDir(plan, next) {
+          if (plan.fallback) {
+            return next(null, plan, null);
+          }
+
+          fs.mkdtemp(path.join(os.tmpdir(), 'fluent-ffmpeg-cut-'), function(err, dir) {
+            tempDir = dir || null;
+            next(err, plan, dir);
+          });
+        },
+
+        // Render pieces one at a time, as NUT files carrying codec parameters in-band
+        function renderPieces(plan, dir, next) {
+          if (plan.fallback) {
+            return next(null, plan, dir);
+          }
+
+          async.eachOfSeries(plan.pieces, function(piece, i, cb) {
+            var vstream = plan.vstream;
+            var command = new self.constructor(input.source, pieceOptions);
+
+            if (piece.encode) {
+              // Seek to the previous keyframe and decode up to the exact cut point
+              var keyframe = utils.snapToKeyframe(plan.keyframes, piece.start, 'previous');
+
+              piece.file = path.join(dir, 'piece' + i + '.nut');
+
+              command
+                .seekInput(keyframe)
+                .output(piece.file)
+                .format('nut')
+                .seek(cutDuration(keyframe, piece.start))
+                .duration(cutDuration(piece.start, piece.end))
+                .outputOptions('-map', '0:' + vstream.index)
+                .noAudio()
+                .videoFilters('setpts=PTS-STARTPTS')
+                .videoCodec(plan.encoder)
+                .outputOptions('-pix_fmt', vstream.pix_fmt, '-bsf:v', 'dump_extra');
+
+              // Match the source profile so that copied frames can be decoded with encoded ones
+              if (plan.profile) {
+                command.outputOptions('-profile:v', plan.profile);
+              }
+
+              // The concat demuxer does not rescale timestamps when pieces have different time bases
+              if (vstream.time_base) {
+                command.outputOptions('-time_base:v', vstream.time_base);
+              }
+
+              if (typeof vstream.bit_rate === 'number') {
+                command.videoBitrate(Math.round(vstream.bit_rate / 1000));
+              }
+
+              command
+                .on('error', function(err) { cb(err); })
+                .on('end', function() { cb(); })
+                .run();
+            } else {
+              // Split the input on the keyframes bounding the copied piece, and keep the segment between them
+              var segmentList = path.join(dir, 'segments.csv');
+
+              command
+                .seekInput(Math.max(0, piece.start - SMART_CUT_MARGIN))
+                .inputOptions('-fflags', '+genpts', '-copyts')
+                .output(path.join(dir, 'segment%d.nut'))
+                .format('segment')
+                .outputOptions(
+                  '-map', '0:' + vstream.index,
+                  '-to', piece.end + plan.startTime + SMART_CUT_MARGIN,
+                  '-bsf:v', SMART_CUT_COPY_FILTERS[vstream.codec_name] || 'dump_extra',
+                  '-segment_times', (piece.start + plan.startTime) + ',' + (piece.end + plan.startTime),
+                  '-segment_format', 'nut',
+                  '-segment_list', segmentList,
+                  '-segment_list_type', 'csv',
+                  '-reset_timestamps', '1'
+                )
+                .noAudio()
+                .videoCodec('copy')
+                .on('error', function(err) { cb(err); })
+                .on('end', function() {
+                  fs.readFile(segmentList, 'utf8', function(err, list) {
+                    if (err) {
+                      return cb(err);
+                    }
+
+                    // Lines are 'file,start,end', pick the segment starting closest to the first copied keyframe
+                    var best = null;
+
+                    list.split(/\r?\n/).forEach(function(line) {
+                      var fields = line.split(',');
+                      var gap = Math.abs(Number(fields[1]) - piece.start - plan.startTime);
+
+                      if (fields.length === 3 && (best === null || gap < best.gap)) {
+                        best = { file: fields[0], gap: gap };
+                      }
+                    });
+
+                    if (!best) {
+                      return cb(new Error('Could not find keyframe packets to copy'));
+                    }
+
+                    piece.file = path.join(dir, best.file);
+                    cb();
+                  });
+                })
+                .run();
+            }
+          }, function(err) {
+            next(err, plan, dir);
+          });
+        },
+
+        // Copy audio streams, seeking on packets instead of relying on (sometimes inaccurate) input seeking
+        function renderAudio(plan, dir, next) {
+          if (plan.fallback || !plan.hasAudio) {
+            return next(null, plan, dir);
+          }
+
+          plan.audioFile = path.join(dir, 'audio.mka');
+
+          new self.constructor(input.source, pieceOptions)
+            .seekInput(Math.max(0, plan.start - SMART_CUT_MARGIN))
+            .inputOptions('-copyts')
+            .output(plan.audioFile)
+            .seek(plan.start + plan.startTime)
+            .duration(cutDuration(plan.start, plan.end))
+            .outputOptions('-map', '0:a', '-avoid_negative_ts', 'make_zero')
+            .audioCodec('copy')
+            .on('error', function(err) { next(err); })
+            .on('end', function() { next(null, plan, dir); })
+            .run();
+        },
+
+        // Durations are set explicitly, encoders may delay the first timestamp of their pieces
+        function writePieceList(plan, dir, next) {
+          if (plan.fallback) {
+            return next(null, plan, dir);
+          }
+
+          var list = plan.pieces.map(function(piece) {
+            return 'file \'' + piece.file.replace(/'/g, '\'\\\'\'') + '\'\n' +
+              'duration ' + cutDuration(piece.start, piece.end) + '\n';
+          }).join('');
+
+          fs.writeFile(path.join(dir, 'pieces.txt'), list, function(err) {
+            next(err, plan, dir);
+          });
+        }
+      ], function(err, plan, dir) {
+        if (err) {
+          removeTempDir();
+          return self.emit('error', err);
+        }
+
+        if (plan.fallback) {
+          return runCut(start, plan.fallback === 'copy');
+        }
+
+        // Remove pieces once ffmpeg is done with them, without adding an 'error' listener
+        // that would hide errors from users not listening to them
+        self.once('start', function() {
+          self.ffmpegProc.once('exit', removeTempDir);
+        });
+
+        if (self.listenerCount('error')) {
+          self.once('error', removeTempDir);
+        }
+
+        // Concatenate video pieces and add audio, keeping metadata and video time base from the input
+        var listIndex = self._inputs.length;
+
+        self
+          .input(path.join(dir, 'pieces.txt'))
+          .inputFormat('concat')
+          .inputOptions('-safe', '0');
+
+        if (plan.audioFile) {
+          self.input(plan.audioFile);
+        }
+
+        self
+          .output(options.target)
+          .outputOptions('-map', listIndex + ':v:0');
+
+        if (plan.audioFile) {
+          self.outputOptions('-map', (listIndex + 1) + ':a');
+        }
+
+        self.outputOptions('-map_metadata', inputIndex, '-c', 'copy');
+
+        if (plan.vstream.time_base) {
+          self.outputOptions('-time_base:v', plan.vstream.time_base);
+        }
+
+        self.run();
+      });
+    }
+
+    if (mode === 'accurate') {
+      runCut(start, false);
+    } else if (mode === 'copy') {
+      copyCut();
+    } else {
+      smartCut();
+    }
+
+    return this;
+  };
 };
@@ -10,6 +10,42 @@ var streamRegexp = /^\[?(.*?)\]?$/;
 var filterEscapeRegexp = /[,]/;
 var whichCache = {};
 
+// libavcodec versions of FFmpeg releases as [lavc major, lavc minor, major, minor],
+// used to guess the release development builds are based on
+var LIBAVCODEC_RELEASES = [
+  [57, 24, 3, 0], [57, 48, 3, 1], [57, 64, 3, 2], [57, 89, 3, 3], [57, 107, 3, 4],
+  [58, 18, 4, 0], [58, 35, 4, 1], [58, 54, 4, 2], [58, 91, 4, 3], [58, 134, 4, 4],
+  [59, 18, 5, 0], [59, 37, 5, 1],
+  [60, 3, 6, 0], [60, 31, 6, 1],
+  [61, 3, 7, 0], [61, 19, 7, 1],
+  [62, 11, 8, 0]
+];
+
+// Numeric limits printed by ffmpeg in AVOption ranges and defaults
+var AVOPTION_LIMITS = {
+  INT_MIN: -2147483648,
+  INT_MAX: 2147483647,
+  UINT32_MAX: 4294967295,
+  I64_MIN: -9223372036854775808,
+  I64_MAX: 9223372036854775807,
+  FLT_MIN: 1.17549435e-38,
+  FLT_MAX: 3.40282347e+38,
+  DBL_MIN: 2.2250738585072014e-308,
+  DBL_MAX: Number.MAX_VALUE
+};
+
+// '-h encoder=...', '-h filter=...' and '-h muxer=...' output lines
+var helpHeaderRegexp = /^(Encoder|Filter|Muxer) (\S+)(?: \[(.*)\])?:?$/;
+var helpSupportedRegexp = /^\s+Supported (pixel formats|sample formats|sample rates|channel layouts): (.*)$/;
+var helpOptionRegexp = /^  -?(\S+)\s+<(\w+)>\s+([A-Z.]{8,})(?: (.*))?$/;
+var helpValueRegexp = /^     (\S+)(?:\s+(-?[\w.]+))?\s+([A-Z.]{8,})(?: (.*))?$/;
+var helpSupportedKeys = {
+  'pixel formats': 'pixelFormats',
+  'sample formats': 'sampleFormats',
+  'sample rates': 'sampleRates',
+  'channel layouts': 'channelLayouts'
+};
+
 /**
  * Parse progress line from ffmpeg stderr
  *
@@ -41,6 +77,125 @@ function parseProgressLine(line) {
 }
 
 
+/**
+ * Get the last value of an option in an argument list
+ *
+ * @param {Array} list argument list
+ * @param {String} option option name
+ * @return {*} option value, undefined when the option is not present
+ * @private
+ */
+function lastOptionValue(list, option) {
+  var index = list.lastIndexOf(option);
+
+  if (index !== -1 && index + 1 < list.length) {
+    return list[index + 1];
+  }
+}
+
+
+/**
+ * Apply seek (-ss), duration (-t) and stop time (-to) options to a duration
+ *
+ * As with ffmpeg, -t takes precedence over -to, and -to is a position
+ * in the untrimmed timeline.
+ *
+ * @param {Number} duration untrimmed duration in seconds
+ * @param {Array} list argument list
+ * @return {Number} trimmed duration in seconds
+ * @private
+ */
+function trimmedDuration(duration, list) {
+  var seek = lastOptionValue(list, '-ss');
+  var limit = lastOptionValue(list, '-t');
+  var stop = lastOptionValue(list, '-to');
+
+  seek = seek === undefined ? 0 : utils.timemarkToSeconds(seek);
+
+  if (limit === undefined && stop !== undefined) {
+    duration = Math.min(duration, utils.timemarkToSeconds(stop));
+  }
+
+  duration = Math.max(0, duration - seek);
+
+  if (limit !== undefined) {
+    duration = Math.min(duration, utils.timemarkToSeconds(limit));
+  }
+
+  return duration;
+}
+
+
+/**
+ * Compute progress percent from the current output time
+ *
+ * @param {Number} time current output time in seconds
+ * @param {Number} duration expected output duration in seconds
+ * @return {Number} percent, between 0 and 100
+ * @private
+ */
+function progressPercent(time, duration) {
+  if (duration <= 0) {
+    return 100;
+  }
+
+  return Math.min(100, Math.max(0, time / duration * 100));
+}
+
+
+/**
+ * Parse a value from an AVOption range or default
+ *
+ * @param {String} value value as printed by ffmpeg
+ * @return {String|Number|Boolean} number for numeric values and known limits,
+ *   boolean for 'true' and 'false', unquoted string otherwise
+ * @private
+ */
+function parseAVOptionValue(value) {
+  var quoted = value.match(/^"(.*)"$/);
+
+  if (quoted) {
+    return quoted[1];
+  }
+
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+
+  if (value.match(/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i)) {
+    return Number(value);
+  }
+
+  var limit = value.match(/^(-?)([A-Z0-9_]+)$/);
+
+  if (limit && limit[2] in AVOPTION_LIMITS) {
+    return limit[1] ? -AVOPTION_LIMITS[limit[2]] : AVOPTION_LIMITS[limit[2]];
+  }
+
+  return value;
+}
+
+
+/**
+ * Get expected output duration from metadata probed for progress reporting
+ *
+ * @param {FfmpegCommand} command
+ * @return {Number} duration in seconds, NaN when unavailable
+ * @private
+ */
+function getProbedDuration(command) {
+  if ('_outputDuration' in command) {
+    return command._outputDuration;
+  }
+
+  if (command._ffprobeData && command._ffprobeData.format && command._ffprobeData.format.duration) {
+    return Number(command._ffprobeData.format.duration);
+  }
+
+  return NaN;
+}
+
+
 var utils = module.exports = {
   isWindows: isWindows,
   streamRegexp: streamRegexp,
@@ -60,6 +215,51 @@ var utils = module.exports = {
   },
 
 
+  /**
+   * Call an asynchronous function and return a promise for its result
+   *
+   * 'fn' is called with a single node-style (err, result) callback argument.
+   *
+   * @param {Function} fn function to call
+   * @return Promise
+   * @private
+   */
+  toPromise: function(fn) {
+    return new Promise(function(resolve, reject) {
+      fn(function(err, result) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  },
+
+
+  /**
+   * Create an error reporting that an operation was cancelled through an AbortSignal
+   *
+   * The error has the same 'name' and 'code' as the errors nodejs core
+   * functions report when aborted.
+   *
+   * @param {AbortSignal} [signal] signal that was aborted
+   * @return Error
+   * @private
+   */
+  abortError: function(signal) {
+    var err = new Error('The operation was aborted');
+    err.name = 'AbortError';
+    err.code = 'ABORT_ERR';
+
+    if (signal && typeof signal.reason !== 'undefined') {
+      err.cause = signal.reason;
+    }
+
+    return err;
+  },
+
+
   /**
    * Create an argument list
    *
@@ -270,6 +470,296 @@ var utils = module.exports = {
   },
 
 
+  /**
+   * Snap a timestamp to a keyframe
+   *
+   * @param {Number[]} keyframes sorted keyframe timestamps in seconds
+   * @param {Number|String} time timestamp in seconds or as a [[hh:]mm:]ss[.xxx] timemark
+   * @param {String} [direction='previous'] 'previous' to snap to the last keyframe at or before 'time',
+   *   'next' to snap to the first keyframe at or after 'time', 'nearest' to snap to the closest keyframe
+   * @return {Number|null} keyframe timestamp, or null if no keyframe matches
+   * @private
+   */
+  snapToKeyframe: function(keyframes, time, direction) {
+    time = utils.timemarkToSeconds(time);
+    direction = direction || 'previous';
+
+    if (['previous', 'next', 'nearest'].indexOf(direction) === -1) {
+      throw new Error('Invalid keyframe snapping direction: ' + direction);
+    }
+
+    // Find the index of the first keyframe after 'time'
+    var low = 0;
+    var high = keyframes.length;
+
+    while (low < high) {
+      var mid = (low + high) >> 1;
+
+      if (keyframes[mid] <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    var previous = low > 0 ? keyframes[low - 1] : null;
+    var next = previous === time ? previous : (low < keyframes.length ? keyframes[low] : null);
+
+    if (direction === 'previous') {
+      return previous;
+    } else if (direction === 'next') {
+      return next;
+    } else if (previous === null || next === null) {
+      return previous === null ? next : previous;
+    } else {
+      return time - previous <= next - time ? previous : next;
+    }
+  },
+
+
+  /**
+   * Parse ffmpeg or ffprobe '-version' output
+   *
+   * Development builds (eg. 'N-109421-g...') have no release number; their
+   * major and minor versions are guessed from the libavcodec version.
+   *
+   * @param {String} output '-version' output
+   * @return {Object|null} version object, or null when the output cannot be parsed
+   * @private
+   */
+  parseVersion: function(output) {
+    var header = output.match(/^(\S+) version (\S+)/m);
+
+    if (!header) {
+      return null;
+    }
+
+    var version = {
+      program: header[1],
+      version: header[2],
+      major: null,
+      minor: null,
+      patch: null,
+      development: false,
+      libraries: {},
+      configuration: [],
+      enabled: [],
+      disabled: []
+    };
+
+    var libraryRegexp = /^\s*lib(\w+)\s+(\d+)\.\s*(\d+)\.\s*(\d+)/gm;
+    var library;
+
+    while ((library = libraryRegexp.exec(output)) !== null) {
+      version.libraries[library[1]] = {
+        major: Number(library[2]),
+        minor: Number(library[3]),
+        micro: Number(library[4])
+      };
+    }
+
+    var configuration = output.match(/^\s*configuration:(.*)$/m);
+
+    if (configuration && configuration[1].trim()) {
+      version.configuration = configuration[1].trim().split(/\s+(?=--)/);
+
+      version.configuration.forEach(function(flag) {
+        var match = flag.match(/^--(enable|disable)-(.+)$/);
+
+        if (match) {
+          version[match[1] + 'd'].push(match[2]);
+        }
+      });
+    }
+
+    var release = version.version.match(/^n?(\d+)\.(\d+)(?:\.(\d+))?/);
+
+    if (release) {
+      version.major = Number(release[1]);
+      version.minor = Number(release[2]);
+      version.patch = release[3] ? Number(release[3]) : 0;
+    } else if (version.libraries.avcodec) {
+      var lavc = version.libraries.avcodec;
+
+      version.development = true;
+      version.major = lavc.major - 54;
+      version.minor = 0;
+
+      LIBAVCODEC_RELEASES.forEach(function(entry) {
+        if (lavc.major > entry[0] || (lavc.major === entry[0] && lavc.minor >= entry[1])) {
+          version.major = entry[2];
+          version.minor = entry[3];
+        }
+      });
+    }
+
+    return version;
+  },
+
+
+  /**
+   * Extract filter names from a filtergraph description
+   *
+   * @param {String} graph filtergraph, eg. '[0:v]scale=w=640:h=-2[v];[v][1:v]overlay'
+   * @return {String[]} filter names, without duplicates
+   * @private
+   */
+  filterNames: function(graph) {
+    var names = [];
+    var quoted = false;
+    var filter = '';
+
+    function addFilter() {
+      // Skip input pads, then keep the name up to its arguments or instance id
+      var match = filter.replace(/^\s*(\[[^\]]*\]\s*)*/, '').match(/^[^=@\[\s]+/);
+
+      if (match && names.indexOf(match[0]) === -1) {
+        names.push(match[0]);
+      }
+
+      filter = '';
+    }
+
+    for (var i = 0; i < graph.length; i++) {
+      var c = graph[i];
+
+      if (c === '\\' && !quoted) {
+        filter += c + (graph[++i] || '');
+      } else if (c === '\'') {
+        quoted = !quoted;
+        filter += c;
+      } else if (!quoted && (c === ',' || c === ';')) {
+        addFilter();
+      } else {
+        filter += c;
+      }
+    }
+
+    addFilter();
+
+    return names;
+  },
+
+
+  /**
+   * Parse ffmpeg '-h encoder=...', '-h filter=...' or '-h muxer=...' output
+   *
+   * @param {String} output help output
+   * @return {Object|null} help object, see {@link FfmpegCommand#encoderOptions},
+   *   or null when the output does not describe an encoder, filter or muxer
+   * @private
+   */
+  parseHelp: function(output) {
+    var lines = output.split(nlRegexp);
+    var header = null;
+
+    while (lines.length && !header) {
+      header = lines.shift().match(helpHeaderRegexp);
+    }
+
+    if (!header) {
+      return null;
+    }
+
+    var help = {
+      name: header[2],
+      description: header[3] || '',
+      options: {}
+    };
+
+    if (header[1] === 'Filter' && lines.length && lines[0].match(/^  \S/)) {
+      help.description = lines.shift().trim();
+    }
+
+    var option = null;
+
+    lines.forEach(function(line) {
+      var match;
+
+      if ((match = line.match(helpOptionRegexp))) {
+        option = null;
+
+        // Options may be listed again by another AVOptions section
+        if (match[1] in help.options) {
+          return;
+        }
+
+        var description = (match[4] || '').trim();
+
+        option = help.options[match[1]] = {
+          type: match[2],
+          flags: match[3],
+          description: description,
+          values: []
+        };
+
+        var defaultValue = description.match(/\s*\(default (.*)\)$/);
+
+        if (defaultValue) {
+          option.default = parseAVOptionValue(defaultValue[1]);
+          description = description.substr(0, defaultValue.index);
+        }
+
+        var range = description.match(/\s*\(from (\S+) to (\S+)\)$/);
+
+        if (range) {
+          option.min = parseAVOptionValue(range[1]);
+          option.max = parseAVOptionValue(range[2]);
+          description = description.substr(0, range.index);
+        }
+
+        option.description = description;
+      } else if (option && (match = line.match(helpValueRegexp))) {
+        var value = {
+          name: match[1],
+          description: (match[4] || '').trim()
+        };
+
+        if (match[2] !== undefined) {
+          value.value = parseAVOptionValue(match[2]);
+        }
+
+        option.values.push(value);
+      } else if ((match = line.match(helpSupportedRegexp))) {
+        help[helpSupportedKeys[match[1]]] = match[2].trim().split(/\s+/).map(function(item) {
+          return match[1] === 'sample rates' ? Number(item) : item;
+        });
+      } else if (!line.match(/^\s/)) {
+        // Section header or trailing notes
+        option = null;
+      }
+    });
+
+    return help;
+  },
+
+
+  /**
+   * Check whether a version object is at least a given version
+   *
+   * @param {Object} version version object, see {@link FfmpegCommand#ffmpegVersion}
+   * @param {String|Number} minimum minimum version, eg. '4.4' or 5
+   * @return {Boolean} whether the version is the same or newer, false when the version is unknown
+   * @private
+   */
+  versionAtLeast: function(version, minimum) {
+    if (!version || version.major === null) {
+      return false;
+    }
+
+    var parts = String(minimum).split('.').map(Number);
+    var actual = [version.major, version.minor || 0, version.patch || 0];
+
+    for (var i = 0; i < 3; i++) {
+      if ((actual[i] || 0) !== (parts[i] || 0)) {
+        return (actual[i] || 0) > (parts[i] || 0);
+      }
+    }
+
+    return true;
+  },
+
+
   /**
    * Extract codec data from ffmpeg stderr and emit 'codecData' event if appropriate
    * Call it with an initially empty codec object once with each line of stderr output until it returns true
@@ -336,20 +826,29 @@ var utils = module.exports = {
       
       inputStack[inputIndex].streams.push(`Input #${inputIndex} Program ${programIndex} ${audio[0]}`);
     } else if (inInput && (video = stderrLine.match(videoPattern))) {
-      var videoMatch = /(?<codec>.*), (?<colorspace>.*), (?<resolution>.*), (?<cc>.*), (?<framerate>.*), (?<tbr>.*), (?<tbn>.*), (?<tbc>.*)/;
-      var details = video[3].match(videoMatch);
-      if (details == null) {
-        videoMatch = /(?<codec>.*), (?<colorspace>.*), (?<resolution>.*), (?<framerate>.*), (?<tbr>.*), (?<tbn>.*), (?<tbc>.*)/;
-        details = video[3].match(videoMatch);
-      }
-      if (details == null) {
-        videoMatch = /(?<codec>.*), (?<colorspace>.*), (?<resolution>.*), (?<framerate>.*), (?<tbr>.*), (?<tbn>.*)/;
-        details = video[3].match(videoMatch);
+      var videoPatterns;
+
+      if (utils.versionAtLeast(command._ffmpegVersion, 5)) {
+        // ffmpeg 5.0 removed the trailing 'tbc' field
+        videoPatterns = [
+          /(?<codec>.*), (?<colorspace>.*), (?<resolution>.*), (?<cc>.*), (?<framerate>.*), (?<tbr>.*), (?<tbn>.*)/,
+          /(?<codec>.*), (?<colorspace>.*), (?<resolution>.*), (?<framerate>.*), (?<tbr>.*), (?<tbn>.*)/,
+          /(?<codec>.*), (?<none>.*), (?<tbr>.*), (?<tbn>.*)/
+        ];
+      } else {
+        videoPatterns = [
+          /(?<codec>.*), (?<colorspace>.*), (?<resolution>.*), (?<cc>.*), (?<framerate>.*), (?<tbr>.*), (?<tbn>.*), (?<tbc>.*)/,
+          /(?<codec>.*), (?<colorspace>.*), (?<resolution>.*), (?<framerate>.*), (?<tbr>.*), (?<tbn>.*), (?<tbc>.*)/,
+          /(?<codec>.*), (?<colorspace>.*), (?<resolution>.*), (?<framerate>.*), (?<tbr>.*), (?<tbn>.*)/,
+          /(?<codec>.*), (?<none>.*), (?<tbr>.*), (?<tbn>.*)/
+        ];
       }
-      if (details == null) {
-        videoMatch = /(?<codec>.*), (?<none>.*), (?<tbr>.*), (?<tbn>.*)/;
-        details = video[3].match(videoMatch);
+
+      var details = null;
+      for (var i = 0; i < videoPatterns.length && details === null; i++) {
+        details = video[3].match(videoPatterns[i]);
       }
+
       if (details == null) {
         throw new Error(`No match for video data string: ${video[3]}`);
       }
@@ -385,6 +884,60 @@ var utils = module.exports = {
   },
 
 
+  /**
+   * Compute the expected output duration of a command from probed input metadata
+   *
+   * Input durations are limited by input durations (-t) or stop times (-to), and
+   * reduced by input seek times (-ss).  Inputs are added up when the command uses
+   * a concat filter, otherwise the longest input is used.  The result is then
+   * limited and reduced the same way using output options, the longest output
+   * being used.
+   *
+   * @param {FfmpegCommand} command
+   * @param {Array} metadata {@link Metadata} objects for each command input, null for inputs that were not probed
+   * @return {Number} duration in seconds, NaN when unknown
+   * @private
+   */
+  outputDuration: function(command, metadata) {
+    var durations = command._inputs.map(function(input, index) {
+      var duration = metadata[index] ? metadata[index].durationSeconds() : null;
+
+      if (duration === null) {
+        return NaN;
+      }
+
+      return trimmedDuration(duration, input.options.get());
+    });
+
+    var total;
+
+    if (command._complexFilters.get().join(' ').match(/(^|[\];,\s])concat(?=[=\[;,\s]|$)/)) {
+      // Concatenated inputs, all durations are needed
+      total = durations.reduce(function(sum, duration) {
+        return sum + duration;
+      }, 0);
+    } else {
+      var known = durations.filter(function(duration) {
+        return !isNaN(duration);
+      });
+
+      total = known.length ? Math.max.apply(null, known) : NaN;
+    }
+
+    if (isNaN(total)) {
+      return NaN;
+    }
+
+    var outputDurations = command._outputs.filter(function(output) {
+      return 'target' in output;
+    }).map(function(output) {
+      return trimmedDuration(total, output.options.get());
+    });
+
+    return outputDurations.length ? Math.max.apply(null, outputDurations) : total;
+  },
+
+
   /**
    * Extract progress data from ffmpeg stderr and emit 'progress' event if appropriate
    *
@@ -405,17 +958,89 @@ var utils = module.exports = {
         timemark: progress.time
       };
 
-      // calculate percent progress using duration
-      if (command._ffprobeData && command._ffprobeData.format && command._ffprobeData.format.duration) {
-        var duration = Number(command._ffprobeData.format.duration);
-        if (!isNaN(duration))
-          ret.percent = (utils.timemarkToSeconds(ret.timemark) / duration) * 100;
+      // calculate percent progress and remaining time using duration
+      var duration = getProbedDuration(command);
+      var time = ret.timemark ? utils.timemarkToSeconds(ret.timemark) : NaN;
+      var speed = parseFloat(progress.speed);
+
+      if (!isNaN(duration) && !isNaN(time)) {
+        ret.percent = progressPercent(time, duration);
+
+        if (speed > 0) {
+          ret.eta = Math.max(0, duration - time) / speed;
+        }
       }
+
       command.emit('progress', ret);
     }
   },
 
 
+  /**
+   * Extract progress data from ffmpeg '-progress' output and emit 'progress' event if appropriate
+   * Call it with an initially empty progress object once with each line of progress output
+   *
+   * ffmpeg writes progress as blocks of key=value lines, each block ending
+   * with a 'progress=continue' or 'progress=end' line.
+   *
+   * @param {FfmpegCommand} command event emitter
+   * @param {String} progressLine ffmpeg progress output line
+   * @param {Object} progressObject object used to accumulate progress data between calls
+   * @private
+   */
+  extractPipeProgress: function(command, progressLine, progressObject) {
+    var kv = progressLine.match(/^([^=]+)=\s*(.*)$/);
+
+    if (!kv) {
+      return;
+    }
+
+    progressObject[kv[1].trim()] = kv[2].trim();
+
+    if (kv[1] !== 'progress') {
+      return;
+    }
+
+    var progress = {};
+    utils.copy(progressObject, progress);
+    Object.keys(progressObject).forEach(function(key) {
+      delete progressObject[key];
+    });
+
+    var outTime = Number(progress.out_time_us) / 1000000;
+    var speed = parseFloat(progress.speed);
+
+    // build progress report object
+    var ret = {
+      frames: parseInt(progress.frame, 10),
+      currentFps: parseInt(progress.fps, 10),
+      currentKbps: progress.bitrate ? parseFloat(progress.bitrate.replace('kbits/s', '')) : 0,
+      targetSize: Math.floor(Number(progress.total_size) / 1024),
+      timemark: progress.out_time,
+      speed: isNaN(speed) ? 0 : speed,
+      droppedFrames: parseInt(progress.drop_frames, 10),
+      duplicatedFrames: parseInt(progress.dup_frames, 10)
+    };
+
+    // calculate percent progress and remaining time using duration
+    var duration = getProbedDuration(command);
+    if (!isNaN(duration)) {
+      if (progress.progress === 'end') {
+        ret.percent = 100;
+        ret.eta = 0;
+      } else if (!isNaN(outTime)) {
+        ret.percent = progressPercent(outTime, duration);
+
+        if (ret.speed > 0) {
+          ret.eta = Math.max(0, duration - outTime) / ret.speed;
+        }
+      }
+    }
+
+    command.emit('progress', ret);
+  },
+
+
   /**
    * Extract error message(s) from ffmpeg stderr
    *
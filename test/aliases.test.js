@@ -59,9 +59,13 @@ var aliases = {
 
   processing: {
     saveToFile: ['save'],
+    saveToFileAsync: ['saveAsync'],
     writeToStream: ['stream', 'pipe'],
     run: ['exec', 'execute'],
+    runAsync: ['execAsync', 'executeAsync'],
+    toArgs: ['dryRun'],
     concat: ['concatenate', 'mergeToFile'],
+    cut: ['trim'],
     screenshots: ['screenshot', 'thumbnails', 'thumbnail', 'takeScreenshots']
   }
 };
@@ -6,6 +6,7 @@ var Ffmpeg = require('../index'),
   utils = require('../lib/utils'),
   path = require('path'),
   fs = require('fs'),
+  stream = require('stream'),
   assert = require('assert'),
   exec = require('child_process').exec,
   testhelper = require('./helpers');
@@ -285,14 +286,55 @@ describe('Command', function() {
       }).should.throw(/Invalid input/);
     });
 
-    it('should refuse to add more than 1 input stream', function() {
+    it('should pipe additional input streams through extra file descriptors', function(done) {
       var stream1 = fs.createReadStream(this.testfile);
       var stream2 = fs.createReadStream(this.testfilewide);
-      var command = new Ffmpeg().addInput(stream1);
 
-      (function() {
-        command.addInput(stream2);
-      }).should.throw(/Only one input stream is supported/);
+      new Ffmpeg({ logger: testhelper.logger })
+        .addInput(stream1)
+        .addInput('soundtrack.mp3')
+        .addInput(stream2)
+        ._test_getArgs(function(args, err) {
+          testhelper.logArgError(err);
+          assert.ok(!err);
+
+          args.join(' ').should.startWith('-i pipe:0 -i soundtrack.mp3 -i pipe:3');
+          done();
+        });
+    });
+
+    it('should allocate input stream file descriptors after the progress pipe', function(done) {
+      var stream1 = fs.createReadStream(this.testfile);
+      var stream2 = fs.createReadStream(this.testfilewide);
+
+      new Ffmpeg({ logger: testhelper.logger, progressPipe: true })
+        .addInput(stream1)
+        .addInput(stream2)
+        ._test_getArgs(function(args, err) {
+          testhelper.logArgError(err);
+          assert.ok(!err);
+
+          args.join(' ').should.startWith('-i pipe:0 -i pipe:4 -progress pipe:3 -nostats');
+          done();
+        });
+    });
+
+    it('should parse progress from ffmpeg output instead of the progress pipe on Windows', function(done) {
+      var isWindows = utils.isWindows;
+      utils.isWindows = true;
+
+      new Ffmpeg({ logger: testhelper.logger, progressPipe: true })
+        .addInput(fs.createReadStream(this.testfile))
+        .addInput(fs.createReadStream(this.testfilewide))
+        ._test_getArgs(function(args, err) {
+          utils.isWindows = isWindows;
+          testhelper.logArgError(err);
+          assert.ok(!err);
+
+          args.join(' ').should.startWith('-i pipe:0 -i pipe:3');
+          args.indexOf('-progress').should.equal(-1);
+          done();
+        });
     });
 
     it('should fail on input-related options when no input was added', function() {
@@ -318,6 +360,24 @@ describe('Command', function() {
     });
   });
 
+  describe('addingAdditionalOutput', function() {
+    it('should pipe additional output streams through extra file descriptors', function(done) {
+      new Ffmpeg({ source: fs.createReadStream(this.testfile), logger: testhelper.logger, progressPipe: true })
+        .addInput(fs.createReadStream(this.testfilewide))
+        .output(new stream.PassThrough())
+        .output('/path/to/file.avi')
+        .output(new stream.PassThrough())
+        ._test_getArgs(function(args, err) {
+          testhelper.logArgError(err);
+          assert.ok(!err);
+
+          args.indexOf('pipe:1').should.above(-1);
+          args.indexOf('pipe:5').should.above(args.indexOf('/path/to/file.avi'));
+          done();
+        });
+    });
+  });
+
   describe('withVideoCodec', function() {
     it('should apply the video codec argument', function(done) {
       new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
@@ -1119,4 +1179,183 @@ describe('Command', function() {
       });
     });
   });
+
+  describe('toJSON', function() {
+    it('should serialize inputs, outputs, filters and options', function() {
+      var command = new Ffmpeg({ source: this.testfile, logger: testhelper.logger, timeout: 30 })
+        .inputOptions('-re')
+        .complexFilter(['[0:v]hflip[flipped]'], 'flipped')
+        .output('/path/to/output.flv')
+        .audioCodec('libmp3lame')
+        .size('50%')
+        .flvmeta();
+
+      var json = JSON.parse(JSON.stringify(command));
+
+      json.options.timeout.should.equal(30);
+      json.options.should.not.have.property('logger');
+      json.options.should.not.have.property('source');
+      json.inputs.should.eql([{ source: this.testfile, options: ['-re'] }]);
+      json.outputs.length.should.equal(1);
+      json.outputs[0].target.should.equal('/path/to/output.flv');
+      json.outputs[0].flags.should.eql({ flvmeta: true });
+      json.outputs[0].sizeData.should.eql({ size: '50%' });
+      json.outputs[0].audio.should.eql(['-acodec', 'libmp3lame']);
+      json.complexFilters.should.eql(['-filter_complex', '[0:v]hflip[flipped]', '-map', '[flipped]']);
+    });
+
+    it('should rebuild an identical command with fromJSON()', function() {
+      var command = new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .input('soundtrack.mp3')
+        .inputFormat('mp3')
+        .output('/path/to/output.mp4')
+        .videoCodec('libx264')
+        .size('320x?')
+        .autopad()
+        .output('/path/to/thumb.jpg')
+        .frames(1)
+        .noAudio();
+
+      var rebuilt = Ffmpeg.fromJSON(JSON.stringify(command), { logger: testhelper.logger });
+
+      rebuilt.should.not.equal(command);
+      rebuilt.logger.should.equal(testhelper.logger);
+      rebuilt._getArguments().should.eql(command._getArguments());
+      rebuilt._outputs[1].isFile.should.equal(true);
+
+      // Argument lists are not shared
+      rebuilt.audioCodec('aac');
+      command._getArguments().indexOf('aac').should.equal(-1);
+
+      // Further outputs can be added
+      rebuilt.output('/path/to/other.mp4')._outputs.length.should.equal(3);
+    });
+
+    it('should be consistent with clone()', function() {
+      var command = new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .preset('flashvideo');
+
+      Ffmpeg.fromJSON(command.toJSON())._getArguments().should.eql(command.clone()._getArguments());
+    });
+
+    it('should refuse to serialize streams', function() {
+      var self = this;
+
+      (function() {
+        new Ffmpeg({ source: fs.createReadStream(self.testfile) }).toJSON();
+      }).should.throw(/Cannot serialize a command with input streams/);
+
+      (function() {
+        new Ffmpeg({ source: self.testfile }).output(new stream.PassThrough()).toJSON();
+      }).should.throw(/Cannot serialize a command with output streams/);
+
+      (function() {
+        Ffmpeg.fromJSON({ inputs: [] });
+      }).should.throw(/Invalid serialized command/);
+    });
+  });
+
+  describe('fromArgs', function() {
+    function stringArgs(args) {
+      return args.map(String);
+    }
+
+    it('should split inputs, global options, complex filters and outputs', function() {
+      var command = Ffmpeg.fromArgs([
+        'ffmpeg', '-y', '-loglevel', 'error', '-ss', '10', '-f', 'avi', '-i', 'input.avi',
+        '-i', 'soundtrack.mp3', '-filter_complex', '[0:v]scale=320:240[v]', '-map', '[v]',
+        '-map', '1:a', '-acodec', 'libmp3lame', '-b:a', '128k', '-vcodec', 'libx264', '-vf', 'hflip',
+        '-map', '0:s', '-t', '5', 'output.mp4', '-an', '-vframes', '1', 'thumb.jpg'
+      ]);
+
+      command._inputs.length.should.equal(2);
+      command._inputs[0].source.should.equal('input.avi');
+      command._inputs[0].options.get().should.eql(['-ss', '10', '-f', 'avi']);
+      command._inputs[1].options.get().should.eql([]);
+
+      command._global.get().should.eql(['-loglevel', 'error']);
+      command._complexFilters.get().should.eql(['-filter_complex', '[0:v]scale=320:240[v]', '-map', '[v]', '-map', '1:a']);
+
+      command._outputs.length.should.equal(2);
+      command._outputs[0].target.should.equal('output.mp4');
+      command._outputs[0].isFile.should.equal(true);
+      command._outputs[0].audio.get().should.eql(['-acodec', 'libmp3lame', '-b:a', '128k']);
+      command._outputs[0].video.get().should.eql(['-vcodec', 'libx264']);
+      command._outputs[0].videoFilters.get().should.eql(['hflip']);
+      command._outputs[0].options.get().should.eql(['-map', '0:s', '-t', '5']);
+      command._outputs[1].audio.get().should.eql(['-an']);
+      command._outputs[1].video.get().should.eql(['-vframes', '1']);
+    });
+
+    it('should round-trip through _getArguments()', function() {
+      var args = new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .inputOptions('-re')
+        .input('soundtrack.mp3')
+        .native()
+        .complexFilter(['[0:v]hflip[flipped]'], 'flipped')
+        .output('/path/to/output.mp4')
+        .audioCodec('aac')
+        .audioBitrate(128)
+        .audioFilters('volume=0.5')
+        .videoCodec('libx264')
+        .videoBitrate('1000', true)
+        .size('320x?')
+        .duration(10)
+        .format('mp4')
+        .output('pipe:1')
+        .noAudio()
+        .fps(5)
+        .format('image2pipe')
+        ._getArguments();
+
+      var parsed = Ffmpeg.fromArgs(args);
+      stringArgs(parsed._getArguments()).should.eql(stringArgs(args));
+      stringArgs(Ffmpeg.fromArgs(parsed._getArguments())._getArguments()).should.eql(stringArgs(args));
+    });
+
+    it('should keep maps following complex filters on their output once an output was added', function() {
+      var argv = [
+        '-i', 'in.mp4', '-map', '0', 'out1.mkv', '-filter_complex', '[0:v]scale=320:-2[v]', '-map', '[v]', 'out2.mp4'
+      ];
+      var command = Ffmpeg.fromArgs(argv);
+
+      command._complexFilters.get().should.eql(['-filter_complex', '[0:v]scale=320:-2[v]']);
+      command._outputs[0].options.get().should.eql(['-map', '0']);
+      command._outputs[1].options.get().should.eql(['-map', '[v]']);
+      stringArgs(command._getArguments()).should.eql([
+        '-i', 'in.mp4', '-y', '-filter_complex', '[0:v]scale=320:-2[v]', '-map', '0', 'out1.mkv', '-map', '[v]', 'out2.mp4'
+      ]);
+      stringArgs(Ffmpeg.fromArgs(command._getArguments())._getArguments()).should.eql(stringArgs(command._getArguments()));
+    });
+
+    it('should allow changing the parsed command with the fluent API', function() {
+      var args = Ffmpeg.fromArgs(['-i', 'input.avi', '-vcodec', 'libx264', '-t', '5'])
+        .videoCodec('libx265')
+        .output('output.mp4')
+        ._getArguments();
+
+      stringArgs(args).should.eql(['-i', 'input.avi', '-y', '-vcodec', 'libx264', '-vcodec', 'libx265', '-t', '5', 'output.mp4']);
+    });
+
+    it('should parse options that don\'t take a value', function() {
+      var args = Ffmpeg.fromArgs(['-nofind_stream_info', '-i', 'input.avi', '-bitexact', '-copyinkf:v', '-vstats', 'output.mp4'])
+        ._getArguments();
+
+      stringArgs(args).should.eql(['-nofind_stream_info', '-i', 'input.avi', '-y', '-bitexact', '-copyinkf:v', '-vstats', 'output.mp4']);
+    });
+
+    it('should reject invalid argument lists', function() {
+      (function() {
+        Ffmpeg.fromArgs('-i input.avi output.mp4');
+      }).should.throw(/Invalid argument list/);
+
+      (function() {
+        Ffmpeg.fromArgs(['-i', 'input.avi', '-vcodec']);
+      }).should.throw(/Missing value for option -vcodec/);
+
+      (function() {
+        Ffmpeg.fromArgs(['-i', 'input.avi', 'output.mp4', '-t', '5']);
+      }).should.throw(/Trailing options after the last output: -t 5/);
+    });
+  });
 });
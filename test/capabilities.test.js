@@ -3,6 +3,7 @@
 'use strict';
 
 var Ffmpeg = require('../index'),
+  fs = require('fs'),
   path = require('path'),
   assert = require('assert'),
   testhelper = require('./helpers'),
@@ -128,13 +129,169 @@ describe('Capabilities', function() {
       });
     });
 
+    it('should return promises when no callback is given', function() {
+      return Promise.all([
+        Ffmpeg.availableCodecs(),
+        new Ffmpeg().availableEncoders(),
+        new Ffmpeg().availableFormats()
+      ]).then(function(results) {
+        results.forEach(function(result) {
+          (typeof result).should.equal('object');
+          Object.keys(result).length.should.not.equal(0);
+        });
+
+        ('pcm_s16le' in results[0]).should.equal(true);
+        ('pcm_s16le' in results[1]).should.equal(true);
+        ('wav' in results[2]).should.equal(true);
+      });
+    });
+
+    it('should enable querying decoders, pixel formats, sample formats, layouts, protocols and bitstream filters', function() {
+      var command = new Ffmpeg();
+
+      return Promise.all([
+        command.availableDecoders(),
+        command.availablePixelFormats(),
+        Ffmpeg.availableSampleFormats(),
+        Ffmpeg.availableLayouts(),
+        command.availableProtocols(),
+        Ffmpeg.availableBitstreamFilters()
+      ]).then(function(results) {
+        var decoders = results[0];
+        var pixelFormats = results[1];
+        var sampleFormats = results[2];
+        var layouts = results[3];
+        var protocols = results[4];
+        var bitstreamFilters = results[5];
+
+        decoders.pcm_s16le.type.should.equal('audio');
+        decoders.pcm_s16le.description.should.be.a.String();
+        decoders.pcm_s16le.experimental.should.equal(false);
+
+        pixelFormats.yuv420p.should.eql({
+          input: true,
+          output: true,
+          hardware: false,
+          paletted: false,
+          bitstream: false,
+          components: 3,
+          bitsPerPixel: 12
+        });
+        pixelFormats.pal8.paletted.should.equal(true);
+
+        sampleFormats.s16.depth.should.equal(16);
+        sampleFormats.fltp.depth.should.equal(32);
+
+        layouts.channels.FL.description.should.equal('front left');
+        layouts.layouts.stereo.channels.should.eql(['FL', 'FR']);
+        ('NAME' in layouts.channels).should.equal(false);
+
+        protocols.file.should.eql({ input: true, output: true });
+        protocols.pipe.input.should.equal(true);
+
+        bitstreamFilters.should.containEql('null');
+        bitstreamFilters.should.not.containEql('Bitstream filters:');
+      });
+    });
+
+    it('should enable querying ffmpeg and ffprobe versions', function() {
+      return Promise.all([
+        new Ffmpeg().ffmpegVersion(),
+        Ffmpeg.ffprobeVersion()
+      ]).then(function(versions) {
+        versions[0].program.should.equal('ffmpeg');
+        versions[1].program.should.equal('ffprobe');
+
+        versions.forEach(function(version) {
+          version.version.should.be.a.String();
+          version.major.should.be.a.Number();
+          version.minor.should.be.a.Number();
+          version.libraries.avcodec.major.should.be.a.Number();
+          Array.isArray(version.enabled).should.equal(true);
+          Ffmpeg.versionAtLeast(version, version.major + '.' + version.minor).should.equal(true);
+          Ffmpeg.versionAtLeast(version, version.major + 1).should.equal(false);
+        });
+      });
+    });
+
+    it('should remember ffmpeg version', function(done) {
+      var command = new Ffmpeg();
+
+      command.ffmpegVersion(function(err, version) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        command.ffmpegVersion(function(err, again) {
+          assert.ok(!err);
+          again.should.equal(version);
+          done();
+        });
+      });
+    });
+
+    it('should enable querying encoder, filter and muxer options', function() {
+      return Promise.all([
+        new Ffmpeg().encoderOptions('mpeg4'),
+        Ffmpeg.filterOptions('scale'),
+        Ffmpeg.muxerOptions('mp4')
+      ]).then(function(helps) {
+        helps[0].name.should.equal('mpeg4');
+        helps[0].pixelFormats.should.containEql('yuv420p');
+        helps[0].options.mpv_flags.type.should.equal('flags');
+        helps[0].options.mpv_flags.values.map(function(value) { return value.name; }).should.containEql('qp_rd');
+
+        helps[1].description.should.be.a.String();
+        helps[1].options.w.type.should.equal('string');
+        helps[1].options.force_original_aspect_ratio.min.should.equal(0);
+        helps[1].options.force_original_aspect_ratio.max.should.equal(2);
+        helps[1].options.force_original_aspect_ratio.values.length.should.equal(3);
+
+        helps[2].options.movflags.values.map(function(value) { return value.name; }).should.containEql('faststart');
+      });
+    });
+
+    it('should report unknown encoders, filters and muxers', function(done) {
+      var command = new Ffmpeg();
+
+      command.encoderOptions('invalid-encoder', function(err) {
+        assert.ok(!!err);
+        err.message.should.match(/Encoder invalid-encoder is not available/);
+
+        command.filterOptions('invalid; filter', function(err) {
+          assert.ok(!!err);
+          err.message.should.match(/Filter invalid; filter is not available/);
+
+          command.muxerOptions('invalid-muxer', function(err) {
+            assert.ok(!!err);
+            err.message.should.match(/Muxer invalid-muxer is not available/);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should remember encoder options', function(done) {
+      var command = new Ffmpeg();
+
+      command.encoderOptions('mpeg4', function(err, help) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        Ffmpeg.encoderOptions('mpeg4', function(err, again) {
+          assert.ok(!err);
+          again.should.equal(help);
+          done();
+        });
+      });
+    });
+
     it('should enable checking command arguments for available codecs, formats and encoders', function(done) {
       async.waterfall([
         // Check with everything available
         function(cb) {
           new Ffmpeg('/path/to/file.avi')
             .fromFormat('avi')
-            .audioCodec('pcm_u16le')
+            .audioCodec('aac')
             .videoCodec('png')
             .toFormat('mp4')
             ._checkCapabilities(cb);
@@ -239,6 +396,118 @@ describe('Capabilities', function() {
       });
     });
 
+    it('should enable checking filters, pixel formats and codec/format compatibility', function(done) {
+      async.waterfall([
+        // Check with everything available
+        function(cb) {
+          new Ffmpeg('/path/to/file.avi')
+            .input('/path/to/other.avi')
+            .complexFilter('[0:v][1:v]overlay=x=\'min(10,W)\':y=0[v]', 'v')
+            .output('/path/to/file.mp4')
+            .audioCodec('aac')
+            .audioFilters('volume=0.5')
+            .videoCodec('mpeg4')
+            .videoFilters('fps=10,scale=320:-2')
+            .size('50%')
+            .outputOptions('-pix_fmt', 'yuv420p')
+            .output('/path/to/file.avi')
+            .audioCodec('pcm_s16le')
+            ._checkCapabilities(cb);
+        },
+
+        // Invalid complex filter
+        function(cb) {
+          new Ffmpeg('/path/to/file.avi')
+            .complexFilter('[0:v]split[a][b];[a][b]invalid-filter=1[v]', 'v')
+            .output('/path/to/file.avi')
+            ._checkCapabilities(function(err) {
+              assert.ok(!!err);
+              err.message.should.match(/Filter invalid-filter is not available in complex filtergraph/);
+
+              cb();
+            });
+        },
+
+        // Invalid video filter
+        function(cb) {
+          new Ffmpeg('/path/to/file.avi')
+            .videoFilters('scale=320:-2', 'invalid-filter')
+            .output('/path/to/file.avi')
+            ._checkCapabilities(function(err) {
+              assert.ok(!!err);
+              err.message.should.match(/Video filter invalid-filter is not available for output #0/);
+
+              cb();
+            });
+        },
+
+        // Invalid audio filter on second output
+        function(cb) {
+          new Ffmpeg('/path/to/file.avi')
+            .output('/path/to/file.avi')
+            .audioFilters('volume=0.5')
+            .output('/path/to/file.wav')
+            .audioFilters('invalid-filter=1')
+            ._checkCapabilities(function(err) {
+              assert.ok(!!err);
+              err.message.should.match(/Audio filter invalid-filter is not available for output #1/);
+
+              cb();
+            });
+        },
+
+        // Unsupported pixel format
+        function(cb) {
+          new Ffmpeg('/path/to/file.avi')
+            .videoCodec('mpeg4')
+            .outputOptions('-pix_fmt yuv444p')
+            .output('/path/to/file.avi')
+            ._checkCapabilities(function(err) {
+              assert.ok(!!err);
+              err.message.should.match(/Pixel format yuv444p is not supported by encoder mpeg4 for output #0/);
+
+              cb();
+            });
+        },
+
+        // PCM audio in MP4, format guessed from extension
+        function(cb) {
+          new Ffmpeg('/path/to/file.avi')
+            .audioCodec('pcm_s16le')
+            .output('/path/to/file.mp4')
+            ._checkCapabilities(function(err) {
+              assert.ok(!!err);
+              err.code.should.equal('ERR_FFMPEG_CAPABILITY');
+              err.message.should.match(/Audio codec pcm_s16le cannot be muxed into mp4 files for output #0/);
+              err.stderrLines.join('\n').should.match(/pcm_s16le/);
+
+              cb();
+            });
+        },
+
+        // Video codec unsupported by WebM on second output
+        function(cb) {
+          new Ffmpeg('/path/to/file.avi')
+            .output('/path/to/file.avi')
+            .videoCodec('mpeg4')
+            .output('/path/to/output')
+            .videoCodec('mpeg4')
+            .format('webm')
+            ._checkCapabilities(function(err) {
+              assert.ok(!!err);
+              err.message.should.match(/Video codec mpeg4 cannot be muxed into format webm for output #1/);
+
+              cb();
+            });
+        }
+      ], function(err) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        done();
+      });
+    });
+
     it('should check capabilities before running a command', function(done) {
       new Ffmpeg('/path/to/file.avi')
         .on('error', function(err) {
@@ -250,6 +519,241 @@ describe('Capabilities', function() {
     });
   });
 
+  describe('Capability cache file', function() {
+    var cacheFile = path.join(__dirname, 'assets', 'capabilities-cache.json');
+
+    function readCache() {
+      return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    }
+
+    function updateEntry(ffmpegPath, update) {
+      var data = readCache();
+      update(data.entries[ffmpegPath]);
+      fs.writeFileSync(cacheFile, JSON.stringify(data));
+    }
+
+    function ffmpegPath() {
+      var found;
+      new Ffmpeg()._getFfmpegPath(function(err, ffmpeg) { found = ffmpeg; });
+      return found;
+    }
+
+    after(function() {
+      var command = new Ffmpeg();
+
+      command.setCapabilityCachePath(null);
+      command._forgetCapabilities();
+
+      if (fs.existsSync(cacheFile)) {
+        fs.unlinkSync(cacheFile);
+      }
+    });
+
+    it('should store capabilities in the cache file when warming it', function() {
+      Ffmpeg.setCapabilityCachePath(cacheFile);
+
+      return Ffmpeg.warmCapabilityCache().then(function(capabilities) {
+        capabilities.version.program.should.equal('ffmpeg');
+        ('pcm_s16le' in capabilities.encoders).should.equal(true);
+        ('yuv420p' in capabilities.pixelFormats).should.equal(true);
+
+        var entry = readCache().entries[ffmpegPath()];
+
+        entry.mtimeMs.should.equal(fs.statSync(ffmpegPath()).mtimeMs);
+        entry.size.should.equal(fs.statSync(ffmpegPath()).size);
+        entry.version.should.equal(capabilities.version.version);
+        Object.keys(entry.results).should.containDeep(['filters', 'codecs', 'encoders', 'formats', 'protocols', 'ffmpegVersion']);
+        Object.keys(entry.results.encoders).should.eql(Object.keys(capabilities.encoders));
+      });
+    });
+
+    it('should read capabilities from the cache file', function(done) {
+      var command = new Ffmpeg();
+
+      updateEntry(ffmpegPath(), function(entry) {
+        entry.results.encoders['cached-encoder'] = { type: 'video', description: 'Cached encoder' };
+      });
+
+      command._forgetCapabilities();
+      command.availableEncoders(function(err, encoders) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        ('cached-encoder' in encoders).should.equal(true);
+        done();
+      });
+    });
+
+    it('should ignore cached capabilities when the ffmpeg binary changes', function(done) {
+      var command = new Ffmpeg();
+
+      updateEntry(ffmpegPath(), function(entry) {
+        entry.mtimeMs = 0;
+      });
+
+      command._forgetCapabilities();
+      command.availableEncoders(function(err, encoders) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        ('cached-encoder' in encoders).should.equal(false);
+        ('pcm_s16le' in encoders).should.equal(true);
+        done();
+      });
+    });
+
+    it('should ignore cached capabilities when the ffmpeg version changes', function(done) {
+      var command = new Ffmpeg();
+
+      updateEntry(ffmpegPath(), function(entry) {
+        entry.version = '0.0.1';
+        entry.results.encoders['cached-encoder'] = { type: 'video', description: 'Cached encoder' };
+      });
+
+      command._forgetCapabilities();
+      command.availableEncoders(function(err, encoders) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        ('cached-encoder' in encoders).should.equal(false);
+        ('pcm_s16le' in encoders).should.equal(true);
+        done();
+      });
+    });
+
+    it('should remove the cache file when invalidating it', function() {
+      return Ffmpeg.warmCapabilityCache().then(function() {
+        fs.existsSync(cacheFile).should.equal(true);
+
+        return Ffmpeg.invalidateCapabilityCache();
+      }).then(function() {
+        fs.existsSync(cacheFile).should.equal(false);
+
+        return Ffmpeg.availableFormats();
+      }).then(function(formats) {
+        ('wav' in formats).should.equal(true);
+
+        // Results are written back to the cache file in the background as they are queried
+        return new Promise(function(resolve) {
+          (function wait() {
+            if (fs.existsSync(cacheFile)) {
+              resolve(readCache().entries[ffmpegPath()]);
+            } else {
+              setTimeout(wait, 10);
+            }
+          })();
+        });
+      }).then(function(entry) {
+        entry.results.should.have.keys('formats');
+      });
+    });
+  });
+
+  describe('Per-command binaries', function() {
+    after(function() {
+      (new Ffmpeg())._forgetPaths();
+    });
+
+    it('should use binary paths from command options', function(done) {
+      Ffmpeg.setFfmpegPath('/doom/di/dom');
+      Ffmpeg.setFfprobePath('/doom/di/dom');
+
+      var ff = new Ffmpeg({ ffmpegPath: '/my/ffmpeg', ffprobePath: '/my/ffprobe', flvtoolPath: '/my/flvtool' });
+
+      ff._getFfmpegPath(function(err, ffmpeg) {
+        assert.ok(!err);
+        ffmpeg.should.equal('/my/ffmpeg');
+
+        ff._getFfprobePath(function(err, ffprobe) {
+          assert.ok(!err);
+          ffprobe.should.equal('/my/ffprobe');
+
+          ff._getFlvtoolPath(function(err, flvtool) {
+            assert.ok(!err);
+            flvtool.should.equal('/my/flvtool');
+
+            new Ffmpeg()._getFfmpegPath(function(err, ffmpeg) {
+              assert.ok(!err);
+              ffmpeg.should.equal('/doom/di/dom');
+
+              ff._forgetPaths();
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should create commands using specific binaries', function(done) {
+      var custom = Ffmpeg.withBinaries({ ffmpeg: '/my/ffmpeg', ffprobe: '/my/ffprobe' });
+
+      var ff = custom('/path/to/file.avi');
+      ff.should.instanceOf(Ffmpeg);
+      ff._inputs[0].source.should.equal('/path/to/file.avi');
+      ff.options.ffmpegPath.should.equal('/my/ffmpeg');
+      ff.options.ffprobePath.should.equal('/my/ffprobe');
+      ('flvtoolPath' in ff.options).should.equal(false);
+
+      custom({ ffmpegPath: '/other/ffmpeg' }).options.ffmpegPath.should.equal('/other/ffmpeg');
+      ff.clone().options.ffprobePath.should.equal('/my/ffprobe');
+
+      // Options passed to the factory are left untouched
+      var options = { logger: testhelper.logger };
+      custom('/path/to/file.avi', options).options.ffmpegPath.should.equal('/my/ffmpeg');
+      custom(options).options.ffmpegPath.should.equal('/my/ffmpeg');
+      ('ffmpegPath' in options).should.equal(false);
+      ('source' in options).should.equal(false);
+      ('ffmpegPath' in new Ffmpeg('/path/to/file.avi', options).options).should.equal(false);
+
+      new Ffmpeg()._getFfmpegPath(function(err, ffmpeg) {
+        assert.ok(!err);
+        ffmpeg.should.not.equal('/my/ffmpeg');
+        done();
+      });
+    });
+
+    it('should query capabilities and probe files with specific binaries', function() {
+      var found = {};
+
+      return Promise.all([
+        new Promise(function(resolve) {
+          new Ffmpeg()._getFfmpegPath(function(err, ffmpeg) { resolve(found.ffmpeg = ffmpeg); });
+        }),
+        new Promise(function(resolve) {
+          new Ffmpeg()._getFfprobePath(function(err, ffprobe) { resolve(found.ffprobe = ffprobe); });
+        })
+      ]).then(function() {
+        var custom = Ffmpeg.withBinaries(found);
+
+        return Promise.all([custom.availableCodecs(), custom.ffmpegVersion(), custom.ffprobe(path.join(__dirname, 'assets', 'testvideo-43.avi'))]);
+      }).then(function(results) {
+        ('pcm_s16le' in results[0]).should.equal(true);
+        results[1].version.should.be.a.String();
+        results[2].streams.length.should.above(0);
+      });
+    });
+
+    it('should keep capabilities separate for each ffmpeg binary', function(done) {
+      var missing = Ffmpeg.withBinaries({ ffmpeg: path.join(__dirname, 'assets', 'no-such-ffmpeg') });
+
+      Ffmpeg.availableCodecs(function(err, codecs) {
+        testhelper.logError(err);
+        assert.ok(!err);
+        ('pcm_s16le' in codecs).should.equal(true);
+
+        missing.availableCodecs(function(err) {
+          assert.ok(!!err);
+
+          Ffmpeg.availableCodecs(function(err, codecs) {
+            assert.ok(!err);
+            ('pcm_s16le' in codecs).should.equal(true);
+            done();
+          });
+        });
+      });
+    });
+  });
+
   describe('ffmpeg path', function() {
     var FFMPEG_PATH;
     var ALT_FFMPEG_PATH;
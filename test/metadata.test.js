@@ -1,5 +1,5 @@
 /*jshint node:true*/
-/*global describe,it,before*/
+/*global describe,it,before,after,beforeEach*/
 'use strict';
 
 var Ffmpeg = require('../index'),
@@ -91,6 +91,94 @@ describe('Metadata', function() {
     });
   });
 
+  it('should provide typed values from ffprobe JSON output', function(done) {
+    Ffmpeg.ffprobe(this.testfile, function(err, data) {
+      testhelper.logError(err);
+      assert.ok(!err);
+
+      data.format.duration.should.equal(2);
+      data.streams[0].width.should.equal(1024);
+      data.streams[0].bit_rate.should.be.a.Number();
+      data.streams[0].disposition.default.should.be.a.Number();
+      data.streams[0].r_frame_rate.should.equal('5/1');
+      Array.isArray(data.chapters).should.equal(true);
+      Array.isArray(data.programs).should.equal(true);
+      done();
+    });
+  });
+
+  it('should parse default ffprobe output with the legacy setting', function(done) {
+    Ffmpeg.ffprobe(this.testfile, { legacy: true }, function(err, data) {
+      testhelper.logError(err);
+      assert.ok(!err);
+
+      ('programs' in data).should.equal(false);
+      data.format.duration.should.equal(2);
+      data.format.format_name.should.equal('avi');
+      data.streams.length.should.equal(1);
+      data.streams[0].codec_name.should.equal('mpeg4');
+      data.streams[0].disposition.default.should.be.a.Number();
+      done();
+    });
+  });
+
+  it('should return a promise when no callback is given', function() {
+    return Ffmpeg.ffprobe(this.testfile).then(function(data) {
+      (typeof data).should.equal('object');
+      Number(data.format.duration).should.equal(2);
+      data.streams.length.should.equal(1);
+    });
+  });
+
+  it('should return a promise when probing a command input by index', function() {
+    return new Ffmpeg({ source: this.testfile })
+      .ffprobe(0, ['-unit'])
+      .then(function(data) {
+        data.streams[0].bit_rate.should.equal('322427 bit/s');
+      });
+  });
+
+  it('should reject the promise on ffprobe errors', function() {
+    return Ffmpeg.ffprobe('/path/to/missing/file').then(
+      function() {
+        assert.ok(false);
+      },
+      function(err) {
+        assert.ok(!!err);
+        err.message.should.match(/ffprobe exited with code/);
+        err.should.be.instanceof(Ffmpeg.InputError);
+        err.stderrLines.should.containEql('/path/to/missing/file: No such file or directory');
+      }
+    );
+  });
+
+  it('should cancel ffprobe when its signal is aborted', function(done) {
+    var controller = new AbortController();
+    controller.abort();
+
+    Ffmpeg.ffprobe(this.testfile, { signal: controller.signal }, function(err) {
+      assert.ok(!!err);
+      err.name.should.equal('AbortError');
+      done();
+    });
+  });
+
+  it('should use the command signal when probing its inputs', function() {
+    var controller = new AbortController();
+
+    var promise = new Ffmpeg({ source: this.testfile, signal: controller.signal }).ffprobe(0);
+    controller.abort();
+
+    return promise.then(
+      function() {
+        assert.ok(false);
+      },
+      function(err) {
+        err.name.should.equal('AbortError');
+      }
+    );
+  });
+
   it('should return ffprobe errors', function(done) {
     Ffmpeg.ffprobe('/path/to/missing/file', function(err) {
       assert.ok(!!err);
@@ -122,6 +210,420 @@ describe('Metadata', function() {
     });
   });
 
+  it('should read frames with probeFrames', function(done) {
+    var frames = [];
+
+    Ffmpeg.probeFrames(this.testfile)
+      .on('frame', function(frame) {
+        frames.push(frame);
+      })
+      .on('error', done)
+      .on('end', function(count) {
+        count.should.equal(10);
+        frames.length.should.equal(10);
+        frames[0].media_type.should.equal('video');
+        frames[0].pict_type.should.equal('I');
+        frames[0].pkt_size.should.be.a.Number();
+        frames[1].pts_time.should.equal(0.2);
+        done();
+      });
+  });
+
+  it('should only read selected frame entries', function(done) {
+    var frames = [];
+
+    Ffmpeg.probeFrames(this.testfile, { streams: 'v:0', entries: ['pict_type', 'pts_time'] })
+      .on('frame', function(frame) {
+        frames.push(frame);
+      })
+      .on('error', done)
+      .on('end', function() {
+        Object.keys(frames[0]).sort().should.eql(['pict_type', 'pts_time']);
+        done();
+      });
+  });
+
+  it('should read packets within an interval with probePackets', function(done) {
+    var packets = [];
+
+    new Ffmpeg({ source: this.testfile })
+      .probePackets(0, { streams: 0, interval: { start: 0, frames: 3 } })
+      .on('packet', function(packet) {
+        packets.push(packet);
+      })
+      .on('error', done)
+      .on('end', function(count) {
+        count.should.equal(3);
+        packets[0].stream_index.should.equal(0);
+        packets[0].flags.should.equal('K__');
+        packets[0].size.should.be.a.Number();
+        done();
+      });
+  });
+
+  it('should format read intervals', function() {
+    var reader = Ffmpeg.probePackets(this.testfile, {
+      interval: [{ start: 1, end: 2 }, { start: '00:00:01', duration: 0.5 }, { frames: 2 }, '10%+#5']
+    });
+
+    return new Promise(function(resolve, reject) {
+      reader.on('error', reject).on('end', resolve);
+      reader.on('packet', function() {});
+    }).then(function() {
+      reader.ffprobeProc.spawnargs.should.containDeep(['-read_intervals', '1%2,00:00:01%+0.5,%+#2,10%+#5']);
+    });
+  });
+
+  it('should allow iterating over frames asynchronously', function() {
+    var reader = Ffmpeg.probeFrames(this.testfile);
+    var types = [];
+
+    return (async function() {
+      for await (var frame of reader) {
+        types.push(frame.pict_type);
+      }
+    })().then(function() {
+      types.length.should.equal(10);
+      types[0].should.equal('I');
+    });
+  });
+
+  it('should stop reading when breaking out of an iteration', function() {
+    var reader = Ffmpeg.probePackets(this.testfile);
+    var count = 0;
+
+    return (async function() {
+      for await (var packet of reader) {
+        count++;
+        if (count === 2) {
+          break;
+        }
+      }
+    })().then(function() {
+      count.should.equal(2);
+
+      return new Promise(function(resolve) {
+        if (reader.ended) {
+          resolve();
+        } else {
+          reader.on('end', resolve);
+        }
+      });
+    });
+  });
+
+  it('should report frame probing errors', function(done) {
+    Ffmpeg.probeFrames('/path/to/missing/file')
+      .on('frame', function() {
+        done(new Error('Unexpected frame'));
+      })
+      .on('error', function(err) {
+        err.message.should.match(/ffprobe exited with code/);
+        done();
+      });
+  });
+
+  it('should reject async frame iteration on errors', function() {
+    var reader = new Ffmpeg().probeFrames();
+
+    return (async function() {
+      for await (var frame of reader) {
+        assert.ok(!frame);
+      }
+    })().then(
+      function() {
+        assert.ok(false);
+      },
+      function(err) {
+        err.message.should.match(/No input specified/);
+      }
+    );
+  });
+
+  it('should reject async frame iteration on errors emitted before iterating', function(done) {
+    var reader = new Ffmpeg().probeFrames();
+
+    setTimeout(function() {
+      (async function() {
+        for await (var frame of reader) {
+          assert.ok(!frame);
+        }
+      })().then(
+        function() {
+          done(new Error('Iteration should have failed'));
+        },
+        function(err) {
+          err.message.should.match(/No input specified/);
+          done();
+        }
+      );
+    }, 10);
+  });
+
+  describe('Metadata model', function() {
+    var data = {
+      streams: [
+        { index: 0, codec_type: 'video', codec_name: 'mjpeg', width: 1920, height: 1920, disposition: { attached_pic: 1 } },
+        {
+          index: 1, codec_type: 'video', codec_name: 'hevc', width: 1440, height: 1080,
+          sample_aspect_ratio: '4:3', avg_frame_rate: '0/0', r_frame_rate: '30000/1001',
+          color_transfer: 'smpte2084', duration: 12.5,
+          side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }]
+        },
+        { index: 2, codec_type: 'video', codec_name: 'h264', width: 640, height: 360, avg_frame_rate: '25/1', tags: { rotate: '180' } },
+        { index: 3, codec_type: 'audio', codec_name: 'aac', duration: 12.8 },
+        { index: 4, codec_type: 'subtitle', codec_name: 'mov_text' }
+      ],
+      format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2' }
+    };
+
+    it('should select streams', function() {
+      var metadata = new Ffmpeg.Metadata(data);
+
+      metadata.primaryVideo().index.should.equal(1);
+      metadata.videoTracks().length.should.equal(2);
+      metadata.audioTracks()[0].index.should.equal(3);
+      metadata.subtitleTracks()[0].index.should.equal(4);
+      metadata.hasVideo().should.equal(true);
+      metadata.hasAudio().should.equal(true);
+      metadata.chapters.should.eql([]);
+
+      var audioOnly = new Ffmpeg.Metadata({ streams: [data.streams[0], data.streams[3]], format: {} });
+      assert.strictEqual(audioOnly.primaryVideo(), null);
+      assert.strictEqual(audioOnly.frameRate(), null);
+      audioOnly.hasVideo().should.equal(false);
+      audioOnly.isHDR().should.equal(false);
+    });
+
+    it('should compute durations, frame rates and aspect ratios', function() {
+      var metadata = new Ffmpeg.Metadata(data);
+      var secondary = data.streams[2];
+
+      metadata.durationSeconds().should.equal(12.8);
+      metadata.frameRate().should.be.approximately(29.97, 0.001);
+      metadata.frameRate(secondary).should.equal(25);
+      metadata.rotation().should.equal(90);
+      metadata.rotation(secondary).should.equal(180);
+      metadata.displayAspect().should.equal(9 / 16);
+      metadata.displayAspect(secondary).should.equal(16 / 9);
+      metadata.isHDR().should.equal(true);
+      metadata.isHDR(secondary).should.equal(false);
+    });
+
+    it('should probe inputs into metadata objects', function(done) {
+      new Ffmpeg({ source: this.testfile }).metadata(function(err, metadata) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        metadata.should.be.instanceof(Ffmpeg.Metadata);
+        metadata.primaryVideo().codec_name.should.equal('mpeg4');
+        metadata.durationSeconds().should.equal(2);
+        metadata.frameRate().should.equal(5);
+        metadata.displayAspect().should.equal(4 / 3);
+        metadata.rotation().should.equal(0);
+        metadata.hasAudio().should.equal(false);
+        done();
+      });
+    });
+
+    it('should return a promise when reading metadata without a callback', function() {
+      return Ffmpeg.metadata('/path/to/missing/file').then(
+        function() {
+          assert.ok(false);
+        },
+        function(err) {
+          err.message.should.match(/ffprobe exited with code/);
+        }
+      );
+    });
+  });
+
+  it('should probe all command inputs', function() {
+    var stream = fs.createReadStream(this.testfile);
+
+    return new Ffmpeg({ source: this.testfile })
+      .input(stream)
+      .input(this.testfile)
+      .probeAll()
+      .then(function(metadata) {
+        stream.destroy();
+
+        metadata.length.should.equal(3);
+        metadata[0].should.be.instanceof(Ffmpeg.Metadata);
+        metadata[0].durationSeconds().should.equal(2);
+        assert.strictEqual(metadata[1], null);
+        metadata[2].primaryVideo().codec_name.should.equal('mpeg4');
+      });
+  });
+
+  it('should report errors when probing all inputs', function(done) {
+    new Ffmpeg({ source: this.testfile })
+      .input('/path/to/missing/file')
+      .probeAll(function(err) {
+        assert.ok(!!err);
+        err.message.should.match(/ffprobe exited with code/);
+        done();
+      });
+  });
+
+  describe('Probe cache', function() {
+    before(function(done) {
+      this.cachefile = path.join(__dirname, 'assets', 'testvideo-cache.avi');
+      fs.copyFile(this.testfile, this.cachefile, done);
+    });
+
+    after(function(done) {
+      Ffmpeg.clearProbeCache();
+      fs.unlink(this.cachefile, function() { done(); });
+    });
+
+    beforeEach(function() {
+      Ffmpeg.clearProbeCache();
+    });
+
+    it('should memoize probe results for each command input', function() {
+      var command = new Ffmpeg({ source: this.cachefile }).input(this.testfile);
+      var results = [];
+
+      return command.ffprobe(0)
+        .then(function(data) {
+          results.push(data);
+          return command.ffprobe(1);
+        })
+        .then(function(data) {
+          results.push(data);
+          return command.ffprobe(0);
+        })
+        .then(function(data) {
+          data.should.equal(results[0]);
+          data.should.not.equal(results[1]);
+          return command.ffprobe(0, ['-unit']);
+        })
+        .then(function(data) {
+          data.should.not.equal(results[0]);
+          data.streams[0].bit_rate.should.equal('322427 bit/s');
+        });
+    });
+
+    it('should only share probe results between commands when enabled', function() {
+      var file = this.cachefile;
+      var first;
+
+      return Ffmpeg.ffprobe(file, { cache: true })
+        .then(function(data) {
+          first = data;
+          return new Ffmpeg({ source: file, probeCache: true }).ffprobe();
+        })
+        .then(function(data) {
+          data.should.equal(first);
+          return Ffmpeg.ffprobe(file);
+        })
+        .then(function(data) {
+          data.should.not.equal(first);
+          data.should.eql(first);
+        });
+    });
+
+    it('should invalidate shared probe results when the file changes', function() {
+      var file = this.cachefile;
+      var first;
+
+      return Ffmpeg.ffprobe(file, { cache: true })
+        .then(function(data) {
+          first = data;
+          return fs.promises.utimes(file, new Date(), new Date(Date.now() - 60000));
+        })
+        .then(function() {
+          return Ffmpeg.ffprobe(file, { cache: true });
+        })
+        .then(function(data) {
+          data.should.not.equal(first);
+          data.format.duration.should.equal(2);
+        });
+    });
+
+    it('should allow priming and clearing the probe cache', function() {
+      var file = this.cachefile;
+      var primed = { streams: [], format: { duration: 42 }, chapters: [], programs: [] };
+
+      return Ffmpeg.primeProbeCache(file, primed)
+        .then(function(data) {
+          data.should.equal(primed);
+          return Ffmpeg.ffprobe(file, { cache: true });
+        })
+        .then(function(data) {
+          data.should.equal(primed);
+
+          Ffmpeg.clearProbeCache(file);
+          return Ffmpeg.ffprobe(file, { cache: true });
+        })
+        .then(function(data) {
+          data.format.duration.should.equal(2);
+        });
+    });
+
+    it('should prime the probe cache by running ffprobe', function(done) {
+      var file = this.cachefile;
+
+      Ffmpeg.primeProbeCache(file, function(err, primed) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        new Ffmpeg({ source: file, probeCache: true }).ffprobe(function(err, data) {
+          assert.ok(!err);
+          data.should.equal(primed);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Keyframes', function() {
+    before(function(done) {
+      // Create a test file with a keyframe every 3 frames (0.6s)
+      this.gopfile = path.join(__dirname, 'assets', 'testvideo-gop.avi');
+
+      new Ffmpeg({ source: this.testfile })
+        .videoCodec('mpeg4')
+        .outputOptions('-g 3')
+        .on('error', done)
+        .on('end', function() { done(); })
+        .save(this.gopfile);
+    });
+
+    after(function(done) {
+      fs.unlink(this.gopfile, function() { done(); });
+    });
+
+    it('should read keyframe timestamps', function(done) {
+      new Ffmpeg({ source: this.gopfile }).keyframes(function(err, keyframes) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        keyframes.should.eql([0, 0.6, 1.2, 1.8]);
+        done();
+      });
+    });
+
+    it('should return a promise when reading keyframes without a callback', function() {
+      return Ffmpeg.keyframes(this.gopfile, 0, { interval: { start: 1 } }).then(function(keyframes) {
+        keyframes.should.eql([0.6, 1.2, 1.8]);
+        Ffmpeg.snapToKeyframe(keyframes, 1.5, 'next').should.equal(1.8);
+      });
+    });
+
+    it('should report keyframe reading errors', function() {
+      return Ffmpeg.keyframes('/path/to/missing/file').then(
+        function() {
+          assert.ok(false);
+        },
+        function(err) {
+          err.message.should.match(/ffprobe exited with code/);
+        }
+      );
+    });
+  });
+
   it('should allow calling ffprobe on stream input', function(done) {
     var stream = fs.createReadStream(this.testfile);
 
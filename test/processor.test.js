@@ -316,6 +316,7 @@ describe('Processor', function() {
           
           assert.ok(startCalled, 'on(error) called before on(start) in timeout test');
           assert.ok(err.message.includes('timeout'), 'Error message did not indicate a timeout: ' + err.message);
+          err.should.be.instanceof(FfmpegCommand.TimeoutError);
           
           errorCalled = true;
 
@@ -581,6 +582,111 @@ describe('Processor', function() {
           .saveToFile(testFile);
     });
 
+  describe('Cancellation', function() {
+    it('should kill the process when options.signal is aborted', function(done) {
+      this.timeout(60000);
+
+      var testFile = path.join(__dirname, 'assets', 'testProcessAbort.avi');
+      var controller = new AbortController();
+      var command = this.getCommand({ source: this.testfilebig, logger: testhelper.logger, signal: controller.signal });
+      var ffmpegProc;
+
+      command
+        .usingPreset('divx')
+        .on('start', function() {
+          ffmpegProc = command.ffmpegProc;
+          setTimeout(function() {
+            controller.abort();
+          }, 200);
+        })
+        .on('error', function(err) {
+          err.name.should.equal('AbortError');
+          err.code.should.equal('ABORT_ERR');
+
+          // Wait for the process to exit before cleaning up
+          ffmpegProc.on('exit', function(code, signal) {
+            signal.should.equal('SIGKILL');
+            fs.unlink(testFile, function() {
+              done();
+            });
+          });
+        })
+        .on('end', function() {
+          assert.ok(false);
+        })
+        .saveToFile(testFile);
+    });
+
+    it('should not spawn ffmpeg when options.signal is already aborted', function(done) {
+      var controller = new AbortController();
+      controller.abort(new Error('cancelled by test'));
+
+      this.getCommand({ source: this.testfile, logger: testhelper.logger, signal: controller.signal })
+        .usingPreset('divx')
+        .on('start', function() {
+          assert.ok(false);
+        })
+        .on('error', function(err) {
+          err.name.should.equal('AbortError');
+          err.cause.message.should.equal('cancelled by test');
+          done();
+        })
+        .saveToFile(path.join(__dirname, 'assets', 'testProcessAborted.avi'));
+    });
+
+    it('should report an AbortError when options.signal is aborted right after starting', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testProcessAborted.avi');
+      var controller = new AbortController();
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger, signal: controller.signal });
+      var ffmpegProc;
+
+      command
+        .usingPreset('divx')
+        .on('start', function() {
+          ffmpegProc = command.ffmpegProc;
+        })
+        .on('error', function(err) {
+          err.name.should.equal('AbortError');
+
+          function cleanup() {
+            fs.unlink(testFile, function() {
+              done();
+            });
+          }
+
+          // ffmpeg may already have been spawned when capabilities are cached
+          if (ffmpegProc && ffmpegProc.exitCode === null && ffmpegProc.signalCode === null) {
+            ffmpegProc.on('exit', cleanup);
+          } else {
+            cleanup();
+          }
+        })
+        .on('end', function() {
+          assert.ok(false);
+        })
+        .saveToFile(testFile);
+
+      controller.abort();
+    });
+
+    it('should reject runAsync() with an AbortError', function() {
+      var controller = new AbortController();
+      controller.abort();
+
+      return this.getCommand({ source: this.testfile, logger: testhelper.logger, signal: controller.signal })
+        .usingPreset('divx')
+        .saveAsync(path.join(__dirname, 'assets', 'testProcessAborted.avi'))
+        .then(
+          function() {
+            assert.ok(false);
+          },
+          function(err) {
+            err.name.should.equal('AbortError');
+          }
+        );
+    });
+  });
+
   describe('Events', function() {
     it('should report codec data through \'codecData\' event', function(done) {
       this.timeout(60000);
@@ -673,6 +779,65 @@ describe('Processor', function() {
           .saveToFile(testFile);
     });
 
+    it('should report structured progress when using the progressPipe option', function(done) {
+      this.timeout(60000);
+
+      var testFile = path.join(__dirname, 'assets', 'testOnPipeProgress.avi');
+      var events = [];
+
+      this.files.push(testFile);
+
+      this.getCommand({ source: this.testfilebig, logger: testhelper.logger, progressPipe: true })
+          .on('start', function(cmdline) {
+            cmdline.indexOf('-progress pipe:3 -nostats').should.not.equal(-1);
+          })
+          .on('progress', function(progress) {
+            events.push(progress);
+          })
+          .usingPreset('divx')
+          .on('error', function(err, stdout, stderr) {
+            testhelper.logError(err, stdout, stderr);
+            assert.ok(!err);
+          })
+          .on('end', function() {
+            events.length.should.above(0);
+            events.forEach(function(progress) {
+              progress.speed.should.be.a.Number();
+              progress.droppedFrames.should.be.a.Number();
+              progress.duplicatedFrames.should.be.a.Number();
+            });
+            events[events.length - 1].percent.should.equal(100);
+            done();
+          })
+          .saveToFile(testFile);
+    });
+
+    it('should report structured progress with an input stream', function(done) {
+      this.timeout(60000);
+
+      var testFile = path.join(__dirname, 'assets', 'testOnPipeProgressStream.avi');
+      var events = [];
+
+      this.files.push(testFile);
+
+      this.getCommand({ source: fs.createReadStream(this.testfile), logger: testhelper.logger, progressPipe: true })
+          .on('progress', function(progress) {
+            events.push(progress);
+          })
+          .usingPreset('divx')
+          .on('error', function(err, stdout, stderr) {
+            testhelper.logError(err, stdout, stderr);
+            assert.ok(!err);
+          })
+          .on('end', function() {
+            events.length.should.above(0);
+            events[events.length - 1].frames.should.above(0);
+            events[events.length - 1].speed.should.be.a.Number();
+            done();
+          })
+          .saveToFile(testFile);
+    });
+
     it('should report start of ffmpeg process through \'start\' event', function(done) {
       this.timeout(60000);
 
@@ -1042,6 +1207,145 @@ describe('Processor', function() {
     })
   });
 
+  describe('runAsync', function() {
+    it('should resolve with stdout, stderr and arguments', function() {
+      var testFile = path.join(__dirname, 'assets', 'testRunAsync.avi');
+      this.files.push(testFile);
+
+      return this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .usingPreset('divx')
+        .output(testFile)
+        .runAsync()
+        .then(function(result) {
+          (typeof result.stdout).should.equal('string');
+          (typeof result.stderr).should.equal('string');
+          Array.isArray(result.args).should.equal(true);
+          result.args[result.args.length - 1].should.equal(testFile);
+
+          fs.statSync(testFile).size.should.above(0);
+        });
+    });
+
+    it('should still emit the \'end\' event', function() {
+      var testFile = path.join(__dirname, 'assets', 'testSaveAsync.avi');
+      this.files.push(testFile);
+
+      var endCalled = false;
+
+      return this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .usingPreset('divx')
+        .on('end', function() {
+          endCalled = true;
+        })
+        .saveAsync(testFile)
+        .then(function() {
+          endCalled.should.equal(true);
+        });
+    });
+
+    it('should reject with the error emitted by the command', function() {
+      var emitted;
+
+      return this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+        .addOption('-invalidoption')
+        .on('error', function(err) {
+          emitted = err;
+        })
+        .saveAsync('/will/not/be/created/anyway')
+        .then(
+          function() {
+            assert.ok(false);
+          },
+          function(err) {
+            err.should.equal(emitted);
+            err.message.should.match(/Unrecognized option 'invalidoption'/);
+          }
+        );
+    });
+
+    it('should reject when no output is specified', function() {
+      return this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .runAsync()
+        .then(
+          function() {
+            assert.ok(false);
+          },
+          function(err) {
+            err.message.should.match(/No output specified/);
+          }
+        );
+    });
+  });
+
+  describe('toArgs', function() {
+    it('should resolve with the ffmpeg path and arguments without spawning ffmpeg', function() {
+      var testFile = path.join(__dirname, 'assets', 'testToArgs.avi');
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger });
+      var started = false;
+
+      return command
+        .usingPreset('divx')
+        .output(testFile)
+        .on('start', function() {
+          started = true;
+        })
+        .toArgs()
+        .then(function(result) {
+          path.basename(result.path).should.match(/^ffmpeg/);
+          result.args.slice(0, 2).should.eql(['-i', this.testfile]);
+          result.args[result.args.length - 1].should.equal(testFile);
+          result.args.indexOf('-b:a').should.above(-1);
+
+          started.should.equal(false);
+          (typeof command.ffmpegProc).should.equal('undefined');
+          fs.existsSync(testFile).should.equal(false);
+        }.bind(this));
+    });
+
+    it('should return the same arguments as the ones used by run()', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testToArgsRun.avi');
+      this.files.push(testFile);
+
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .usingPreset('divx')
+        .output(testFile);
+
+      command.toArgs(function(err, result) {
+        assert.ok(!err);
+
+        command
+          .on('start', function(cmdline) {
+            cmdline.should.equal('ffmpeg ' + result.args.join(' '));
+          })
+          .on('error', function(err, stdout, stderr) {
+            testhelper.logError(err, stdout, stderr);
+            assert.ok(!err);
+          })
+          .on('end', function() {
+            done();
+          })
+          .run();
+      });
+    });
+
+    it('should report preparation errors', function(done) {
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .audioCodec('invalid-audio-codec')
+        .output(path.join(__dirname, 'assets', 'testToArgsError.avi'));
+
+      command.toArgs(function(err) {
+        assert.ok(err);
+        err.message.should.match(/Audio codec invalid-audio-codec is not available/);
+
+        new FfmpegCommand().toArgs(function(err) {
+          assert.ok(err);
+          err.message.should.equal('No output specified');
+          done();
+        });
+      });
+    });
+  });
+
   describe('mergeToFile', function() {
 
     it('should merge multiple files', function(done) {
@@ -1072,6 +1376,157 @@ describe('Processor', function() {
     });
   });
 
+  describe('cut', function() {
+    before(function(done) {
+      // Create a test file with a keyframe every 3 frames (0.6s)
+      this.testfilegop = path.join(this.testdir, 'testvideo-cut.avi');
+
+      new FfmpegCommand({ source: this.testfile })
+        .videoCodec('mpeg4')
+        .outputOptions('-g 3')
+        .on('error', done)
+        .on('end', function() { done(); })
+        .save(this.testfilegop);
+    });
+
+    after(function(done) {
+      fs.unlink(this.testfilegop, function() { done(); });
+    });
+
+    function countFrames(file, callback) {
+      var timestamps = [];
+
+      FfmpegCommand.probeFrames(file, { streams: 'v:0', entries: ['best_effort_timestamp_time'] })
+        .on('frame', function(frame) {
+          timestamps.push(frame.best_effort_timestamp_time);
+        })
+        .on('error', callback)
+        .on('end', function(count) {
+          callback(null, count, timestamps);
+        });
+    }
+
+    function frameHashes(file, callback) {
+      new FfmpegCommand({ source: file, logger: testhelper.logger })
+        .output('pipe:1')
+        .format('framemd5')
+        .outputOptions('-map', '0:v:0', '-vsync', 'passthrough')
+        .on('error', callback)
+        .on('end', function(stdout) {
+          callback(null, stdout.split('\n').filter(function(line) {
+            return line && line[0] !== '#';
+          }).map(function(line) {
+            return line.split(',').pop().trim();
+          }));
+        })
+        .run();
+    }
+
+    it('should cut from the previous keyframe in copy mode', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testCutCopy.avi');
+      this.files.push(testFile);
+
+      this.getCommand({ source: this.testfilegop, logger: testhelper.logger })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          countFrames(testFile, function(err, count) {
+            testhelper.logError(err);
+            assert.ok(!err);
+
+            count.should.equal(5);
+            done();
+          });
+        })
+        .cut({ target: testFile, start: 0.7, end: 1.5 });
+    });
+
+    it('should cut at exact times in accurate mode', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testCutAccurate.avi');
+      this.files.push(testFile);
+
+      this.getCommand({ source: this.testfilegop, logger: testhelper.logger })
+        .videoCodec('mpeg4')
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          countFrames(testFile, function(err, count) {
+            testhelper.logError(err);
+            assert.ok(!err);
+
+            count.should.equal(6);
+            done();
+          });
+        })
+        .trim({ target: testFile, start: 0.3, end: '00:00:01.5', mode: 'accurate' });
+    });
+
+    it('should only re-encode partial GOPs in smart mode', function(done) {
+      var testfilegop = this.testfilegop;
+      var testFile = path.join(__dirname, 'assets', 'testCutSmart.mkv');
+      this.files.push(testFile);
+
+      this.getCommand({ source: this.testfilegop, logger: testhelper.logger })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          countFrames(testFile, function(err, count, timestamps) {
+            testhelper.logError(err);
+            assert.ok(!err);
+
+            count.should.equal(6);
+            timestamps.should.eql([0, 0.2, 0.4, 0.6, 0.8, 1]);
+
+            // The GOP starting at 0.6s is copied as-is, and decodes to the same frames
+            frameHashes(testfilegop, function(err, sourceHashes) {
+              testhelper.logError(err);
+              assert.ok(!err);
+
+              frameHashes(testFile, function(err, hashes) {
+                testhelper.logError(err);
+                assert.ok(!err);
+
+                hashes.slice(1, 4).should.eql(sourceHashes.slice(3, 6));
+                done();
+              });
+            });
+          });
+        })
+        .cut({ target: testFile, start: 0.3, end: 1.5, mode: 'smart' });
+    });
+
+    it('should throw on invalid cut options', function() {
+      var testfilegop = this.testfilegop;
+      var command = this.getCommand({ source: testfilegop, logger: testhelper.logger });
+
+      (function() {
+        command.cut({ start: 1 });
+      }).should.throw(/no target specified/);
+
+      (function() {
+        command.cut({ target: '/dev/null', mode: 'fast' });
+      }).should.throw(/Invalid cut mode: fast/);
+
+      (function() {
+        command.cut({ target: '/dev/null', start: 2, end: 1 });
+      }).should.throw(/end/);
+
+      var instream = fs.createReadStream(testfilegop);
+
+      (function() {
+        new FfmpegCommand().input(instream).cut({ target: '/dev/null', mode: 'smart' });
+      }).should.throw(/please use accurate mode/);
+
+      instream.destroy();
+    });
+  });
+
   describe('writeToStream', function() {
     it('should save the output file properly to disk using a stream', function(done) {
       var testFile = path.join(__dirname, 'assets', 'testConvertToStream.avi');
@@ -1221,6 +1676,234 @@ describe('Processor', function() {
     })
   });
 
+  describe('asTransform', function() {
+    it('should transcode data written to the duplex stream', function(done) {
+      this.timeout(30000);
+
+      var chunks = [];
+      var collector = new stream.Writable({
+        write: function(chunk, encoding, cb) {
+          chunks.push(chunk);
+          cb();
+        }
+      });
+
+      var transform = this.getCommand({ logger: testhelper.logger })
+        .format('wav')
+        .audioChannels(1)
+        .asTransform();
+
+      transform.should.instanceof(stream.Duplex);
+
+      stream.pipeline(fs.createReadStream(this.testfileaudio1), transform, collector, function(err) {
+        assert.ok(!err);
+
+        var output = Buffer.concat(chunks);
+        output.slice(0, 4).toString().should.equal('RIFF');
+        output.readUInt16LE(22).should.equal(1);
+        done();
+      });
+    });
+
+    it('should destroy the duplex stream when processing fails', function(done) {
+      this.timeout(30000);
+
+      var source = new stream.PassThrough();
+      var transform = this.getCommand({ logger: testhelper.logger })
+        .format('wav')
+        .asTransform();
+
+      stream.pipeline(source, transform, new stream.PassThrough(), function(err) {
+        assert.ok(err);
+        err.message.should.match(/ffmpeg exited with code/);
+        done();
+      });
+
+      source.end(Buffer.from('this is not a media file'));
+    });
+
+    it('should kill ffmpeg when the duplex stream is destroyed', function(done) {
+      this.timeout(30000);
+
+      var command = this.getCommand({ logger: testhelper.logger }).format('wav');
+      var transform;
+
+      command.on('start', function() {
+        command.ffmpegProc.on('exit', function(code, signal) {
+          signal.should.equal('SIGKILL');
+          done();
+        });
+
+        setTimeout(function() {
+          transform.destroy(new Error('Downstream failure'));
+        }, 10);
+      });
+
+      transform = command.asTransform();
+      transform.on('error', function(err) {
+        err.message.should.equal('Downstream failure');
+      });
+    });
+
+    it('should kill ffmpeg when the duplex stream is destroyed before ffmpeg starts', function(done) {
+      this.timeout(30000);
+
+      var command = this.getCommand({ logger: testhelper.logger }).format('wav');
+
+      command.on('start', function() {
+        command.ffmpegProc.on('exit', function(code, signal) {
+          signal.should.equal('SIGKILL');
+          done();
+        });
+      });
+
+      var transform = command.asTransform();
+      transform.on('error', function(err) {
+        err.message.should.equal('Downstream failure');
+      });
+
+      transform.destroy(new Error('Downstream failure'));
+    });
+  });
+
+  describe('createPool', function() {
+    it('should run commands in order with a concurrency limit', function(done) {
+      this.timeout(60000);
+
+      var self = this;
+      var pool = FfmpegCommand.createPool({ concurrency: 2 });
+      var started = [];
+      var running = 0;
+      var maxRunning = 0;
+
+      var jobs = [1, 2, 3].map(function(index) {
+        var testFile = path.join(__dirname, 'assets', 'testPool' + index + '.avi');
+        self.files.push(testFile);
+
+        return pool.add(
+          self.getCommand({ source: self.testfile, logger: testhelper.logger })
+            .usingPreset('divx')
+            .output(testFile)
+        );
+      });
+
+      jobs.map(function(job) { return job.state; }).should.eql(['queued', 'queued', 'queued']);
+
+      pool
+        .on('jobStart', function(job) {
+          started.push(job.id);
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+        })
+        .on('jobEnd', function(job) {
+          job.state.should.equal('done');
+          running--;
+        })
+        .on('jobError', function(job, err) {
+          testhelper.logError(err);
+          assert.ok(!err);
+        })
+        .on('drain', function(stats) {
+          started.should.eql([1, 2, 3]);
+          maxRunning.should.equal(2);
+          stats.done.should.equal(3);
+          stats.percent.should.equal(100);
+          done();
+        });
+    });
+
+    it('should cancel queued and running jobs', function(done) {
+      this.timeout(60000);
+
+      var pool = FfmpegCommand.createPool();
+      var cancelled = [];
+
+      var first = pool.add(
+        this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+          .usingPreset('divx')
+          .output(path.join(__dirname, 'assets', 'testPoolCancel1.avi'))
+      );
+
+      var second = pool.add(
+        this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+          .usingPreset('divx')
+          .output(path.join(__dirname, 'assets', 'testPoolCancel2.avi'))
+      );
+
+      pool
+        .on('jobStart', function(job) {
+          job.should.equal(first);
+          pool.cancel(second).should.equal(true);
+          pool.cancel(first.command).should.equal(true);
+        })
+        .on('jobCancel', function(job) {
+          cancelled.push(job.id);
+        })
+        .on('drain', function(stats) {
+          cancelled.should.eql([2, 1]);
+          first.state.should.equal('cancelled');
+          second.state.should.equal('cancelled');
+          stats.cancelled.should.equal(2);
+          pool.cancel(first).should.equal(false);
+
+          // ffmpeg may have been killed before or after creating its output
+          fs.unlink(path.join(__dirname, 'assets', 'testPoolCancel1.avi'), function() {
+            done();
+          });
+        });
+    });
+
+    it('should cancel jobs that fail after being cancelled while preparing', function(done) {
+      var pool = FfmpegCommand.createPool();
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger, ffmpegPath: '/path/to/missing/ffmpeg' })
+        .videoCodec('libx264')
+        .output(path.join(__dirname, 'assets', 'testPoolCancelPrepare.avi'));
+
+      var startListeners = command.listeners('start').length;
+      var job = pool.add(command);
+
+      process.nextTick(function() {
+        // The job has started and its command is being prepared
+        job.state.should.equal('running');
+        pool.cancel(job).should.equal(true);
+      });
+
+      pool.on('drain', function(stats) {
+        job.state.should.equal('cancelled');
+        stats.cancelled.should.equal(1);
+        command.listeners('start').length.should.equal(startListeners);
+        done();
+      });
+    });
+
+    it('should report failed jobs and keep running the queue', function(done) {
+      this.timeout(60000);
+
+      var testFile = path.join(__dirname, 'assets', 'testPoolAfterError.avi');
+      this.files.push(testFile);
+
+      var pool = FfmpegCommand.createPool();
+      var failed = pool.add(
+        this.getCommand({ source: path.join(__dirname, 'assets', 'missing.avi'), logger: testhelper.logger })
+          .output(path.join(__dirname, 'assets', 'testPoolError.avi'))
+      );
+
+      pool.add(
+        this.getCommand({ source: this.testfile, logger: testhelper.logger })
+          .usingPreset('divx')
+          .output(testFile)
+      );
+
+      pool.on('drain', function(stats) {
+        failed.state.should.equal('failed');
+        failed.error.message.should.match(/ffmpeg exited with code 1/);
+        stats.failed.should.equal(1);
+        stats.done.should.equal(1);
+        done();
+      });
+    });
+  });
+
   describe('Outputs', function() {
     it('should create multiple outputs', function(done) {
       this.timeout(30000);
@@ -1273,6 +1956,80 @@ describe('Processor', function() {
         })
         .run();
     });
+
+    it('should write to multiple output streams', function(done) {
+      this.timeout(30000);
+
+      var videoChunks = [];
+      var thumbnailChunks = [];
+      var videoStream = new stream.PassThrough();
+      var thumbnailStream = new stream.PassThrough();
+
+      videoStream.on('data', function(chunk) { videoChunks.push(chunk); });
+      thumbnailStream.on('data', function(chunk) { thumbnailChunks.push(chunk); });
+
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .output(videoStream)
+        .format('avi')
+        .usingPreset('divx')
+        .output(thumbnailStream)
+        .format('image2pipe')
+        .videoCodec('mjpeg')
+        .noAudio()
+        .frames(1)
+        .on('start', function(cmdline) {
+          cmdline.indexOf('pipe:1').should.not.equal(-1);
+          cmdline.indexOf('pipe:3').should.not.equal(-1);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          var video = Buffer.concat(videoChunks);
+          var thumbnail = Buffer.concat(thumbnailChunks);
+
+          video.slice(0, 4).toString().should.equal('RIFF');
+          thumbnail[0].should.equal(0xff);
+          thumbnail[1].should.equal(0xd8);
+          done();
+        })
+        .run();
+    });
+
+    it('should report errors on additional output streams', function(done) {
+      this.timeout(30000);
+
+      var videoStream = new stream.PassThrough();
+      var thumbnailStream = new stream.PassThrough();
+      var command = this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+        .output(videoStream)
+        .format('avi')
+        .usingPreset('divx')
+        .output(thumbnailStream)
+        .format('image2pipe')
+        .videoCodec('mjpeg')
+        .on('start', function() {
+          command.ffmpegProc.on('exit', function() {
+            errorReported.should.equal(true);
+            done();
+          });
+
+          setTimeout(function() {
+            thumbnailStream.emit('error', new Error('Upload failed'));
+          }, 10);
+        })
+        .on('error', function(err) {
+          err.message.should.equal('Output stream error: Upload failed');
+          err.outputStreamError.message.should.equal('Upload failed');
+          errorReported = true;
+        });
+
+      var errorReported = false;
+      videoStream.resume();
+      thumbnailStream.resume();
+      command.run();
+    });
   });
 
   describe('Inputs', function() {
@@ -1302,6 +2059,67 @@ describe('Processor', function() {
         })
         .saveToFile(testFile);
     });
+
+    it('should take input from several streams', function(done) {
+      this.timeout(60000);
+
+      var testFile = path.join(__dirname, 'assets', 'testMultipleInputStreams.avi');
+      this.files.push(testFile);
+
+      this.getCommand({ logger: testhelper.logger })
+        .input(fs.createReadStream(this.testfile))
+        .input(fs.createReadStream(this.testfileaudio1))
+        .outputOptions(['-map 0:v', '-map 1:a', '-shortest'])
+        .usingPreset('divx')
+        .on('start', function(cmdline) {
+          cmdline.indexOf('-i pipe:0 -i pipe:3').should.not.equal(-1);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          FfmpegCommand.ffprobe(testFile, function(err, data) {
+            assert.ok(!err);
+
+            data.streams.map(function(s) { return s.codec_type; }).sort()
+              .should.eql(['audio', 'video']);
+            done();
+          });
+        })
+        .saveToFile(testFile);
+    });
+
+    it('should report errors on additional input streams', function(done) {
+      this.timeout(60000);
+
+      var testFile = path.join(__dirname, 'assets', 'testMultipleInputStreamsError.avi');
+      var audioStream = new stream.PassThrough();
+      var command = this.getCommand({ logger: testhelper.logger })
+        .input(fs.createReadStream(this.testfile))
+        .input(audioStream)
+        .usingPreset('divx')
+        .on('start', function() {
+          var ffmpegProc = command.ffmpegProc;
+
+          ffmpegProc.on('exit', function() {
+            errorReported.should.equal(true);
+            done();
+          });
+
+          setTimeout(function() {
+            audioStream.emit('error', new Error('Connection reset'));
+          }, 10);
+        })
+        .on('error', function(err) {
+          err.message.should.equal('Input stream error: Connection reset');
+          err.inputStreamError.message.should.equal('Connection reset');
+          errorReported = true;
+        });
+
+      var errorReported = false;
+      command.saveToFile(testFile);
+    });
   });
 
   describe.skip('Remote I/O', function() {
@@ -1439,6 +2257,10 @@ describe('Processor', function() {
         })
         .on('error', function(err) {
           err.message.should.match(/ffmpeg was killed with signal SIGKILL/);
+          err.should.be.instanceof(FfmpegCommand.KilledError);
+          err.code.should.equal('ERR_FFMPEG_KILLED');
+          err.signal.should.equal('SIGKILL');
+          assert.strictEqual(err.exitCode, null);
           done();
         })
         .on('end', function() {
@@ -1453,8 +2275,65 @@ describe('Processor', function() {
         .on('error', function(err) {
           setTimeout(done, 1000);
           err.message.should.match(/Unrecognized option 'invalidoption'/);
+          err.should.be.instanceof(FfmpegCommand.ProcessError);
+          err.should.be.instanceof(FfmpegCommand.FfmpegError);
+          err.code.should.equal('ERR_FFMPEG_EXIT');
+          err.exitCode.should.above(0);
+          err.args.should.containEql('-invalidoption');
+          err.stderrLines.should.containEql('Unrecognized option \'invalidoption\'.');
         })
         .saveToFile('/will/not/be/created/anyway');
     });
+
+    it('should report input errors', function(done) {
+      var missing = path.join(__dirname, 'assets', 'missing-input.avi');
+
+      this.getCommand({ source: missing, logger: testhelper.logger })
+        .on('error', function(err) {
+          err.should.be.instanceof(FfmpegCommand.InputError);
+          err.code.should.equal('ERR_FFMPEG_INPUT');
+          err.exitCode.should.above(0);
+          err.args.should.containEql(missing);
+          err.stderrLines.some(function(line) {
+            return line.indexOf('No such file or directory') !== -1;
+          }).should.equal(true);
+          done();
+        })
+        .saveToFile('/will/not/be/created/anyway.avi');
+    });
+
+    it('should report codec errors', function(done) {
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .outputOptions('-c:v', 'invalid-encoder')
+        .on('error', function(err) {
+          err.should.be.instanceof(FfmpegCommand.CodecError);
+          err.code.should.equal('ERR_FFMPEG_CODEC');
+          err.message.should.match(/Unknown encoder 'invalid-encoder'/);
+          done();
+        })
+        .saveToFile('/will/not/be/created/anyway.avi');
+    });
+
+    it('should report missing ffmpeg binaries', function(done) {
+      this.getCommand({ source: this.testfile, logger: testhelper.logger, ffmpegPath: '/nope/not-here/ffmpeg' })
+        .on('error', function(err) {
+          err.should.be.instanceof(FfmpegCommand.BinaryNotFoundError);
+          err.code.should.equal('ERR_FFMPEG_NOT_FOUND');
+          done();
+        })
+        .saveToFile('/will/not/be/created/anyway.avi');
+    });
+
+    it('should report capability errors', function(done) {
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .audioCodec('invalid-audio-codec')
+        .on('error', function(err) {
+          err.should.be.instanceof(FfmpegCommand.CapabilityError);
+          err.code.should.equal('ERR_FFMPEG_CAPABILITY');
+          err.message.should.match(/Audio codec invalid-audio-codec is not available/);
+          done();
+        })
+        .saveToFile('/will/not/be/created/anyway.avi');
+    });
   });
 });
@@ -2,7 +2,10 @@
 /*global describe,it*/
 'use strict';
 
-var utils = require('../lib/utils');
+var EventEmitter = require('events').EventEmitter,
+  assert = require('assert'),
+  FfmpegCommand = require('../index'),
+  utils = require('../lib/utils');
 
 describe('Utilities', function() {
 
@@ -114,6 +117,321 @@ describe('Utilities', function() {
     });
   });
 
+  describe('parseVersion', function() {
+    var libraries = [
+      'libavutil      58. 29.100 / 58. 29.100',
+      'libavcodec     60. 31.102 / 60. 31.102',
+      'libavformat    60. 16.100 / 60. 16.100'
+    ];
+
+    it('should parse release versions and build configuration', function() {
+      var version = utils.parseVersion([
+        'ffmpeg version 6.1.1-3ubuntu5 Copyright (c) 2000-2023 the FFmpeg developers',
+        'built with gcc 13 (Ubuntu 13.2.0-23ubuntu3)',
+        'configuration: --prefix=/usr --extra-version=3ubuntu5 --enable-gpl --disable-stripping --enable-libx264 --extra-cflags=\'-I/usr/include -O2\''
+      ].concat(libraries).join('\n'));
+
+      version.program.should.equal('ffmpeg');
+      version.version.should.equal('6.1.1-3ubuntu5');
+      version.major.should.equal(6);
+      version.minor.should.equal(1);
+      version.patch.should.equal(1);
+      version.development.should.equal(false);
+      version.libraries.avcodec.should.eql({ major: 60, minor: 31, micro: 102 });
+      version.configuration.length.should.equal(6);
+      version.configuration[5].should.equal('--extra-cflags=\'-I/usr/include -O2\'');
+      version.enabled.should.eql(['gpl', 'libx264']);
+      version.disabled.should.eql(['stripping']);
+    });
+
+    it('should guess development build versions from libavcodec', function() {
+      var version = utils.parseVersion(['ffprobe version N-112171-g1bb2c6f4a9-static https://johnvansickle.com/ffmpeg/'].concat(libraries).join('\n'));
+
+      version.program.should.equal('ffprobe');
+      version.development.should.equal(true);
+      version.major.should.equal(6);
+      version.minor.should.equal(1);
+      assert.strictEqual(version.patch, null);
+      version.configuration.should.eql([]);
+    });
+
+    it('should parse versions prefixed with n', function() {
+      var version = utils.parseVersion('ffmpeg version n4.4.2 Copyright (c) 2000-2021 the FFmpeg developers');
+
+      version.major.should.equal(4);
+      version.minor.should.equal(4);
+      version.patch.should.equal(2);
+    });
+
+    it('should return null on unknown output', function() {
+      assert.strictEqual(utils.parseVersion('command not found'), null);
+    });
+
+    it('should compare versions', function() {
+      var version = { major: 4, minor: 4, patch: 2 };
+
+      utils.versionAtLeast(version, 4).should.equal(true);
+      utils.versionAtLeast(version, '4.4').should.equal(true);
+      utils.versionAtLeast(version, '4.4.2').should.equal(true);
+      utils.versionAtLeast(version, '4.4.3').should.equal(false);
+      utils.versionAtLeast(version, '5').should.equal(false);
+      utils.versionAtLeast(version, '3.10').should.equal(true);
+      utils.versionAtLeast(null, '1').should.equal(false);
+      utils.versionAtLeast({ major: null }, '1').should.equal(false);
+    });
+  });
+
+  describe('parseHelp', function() {
+    it('should parse encoder options', function() {
+      var help = utils.parseHelp([
+        'Encoder libx264 [libx264 H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10]:',
+        '    General capabilities: dr1 delay threads ',
+        '    Threading capabilities: other',
+        '    Supported pixel formats: yuv420p yuvj420p yuv422p',
+        'libx264 AVOptions:',
+        '  -preset            <string>     E..V....... Set the encoding preset (cf. x264 --fullhelp) (default "medium")',
+        '  -tune              <string>     E..V....... Tune the encoding params (cf. x264 --fullhelp)',
+        '  -crf               <float>      E..V....... Select the quality for constant quality mode (from -1 to FLT_MAX) (default -1)',
+        '  -b-bias            <int>        E..V....... Influences how often B-frames are used (from INT_MIN to INT_MAX) (default INT_MIN)',
+        '  -psy               <boolean>    E..V....... Use psychovisual optimizations. (default auto)',
+        '  -a53cc             <boolean>    E..V....... Use A53 Closed Captions (if available) (default true)',
+        '  -aq-mode           <int>        E..V....... AQ method (from -1 to INT_MAX) (default -1)',
+        '     none            0            E..V.......',
+        '     variance        1            E..V....... Variance AQ (complexity mask)',
+        '  -x264-params       <dictionary> E..V....... Override the x264 configuration using a :-separated list of key=value parameters',
+        ''
+      ].join('\n'));
+
+      help.name.should.equal('libx264');
+      help.description.should.equal('libx264 H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10');
+      help.pixelFormats.should.eql(['yuv420p', 'yuvj420p', 'yuv422p']);
+      Object.keys(help.options).length.should.equal(8);
+
+      help.options.preset.should.eql({
+        type: 'string',
+        flags: 'E..V.......',
+        description: 'Set the encoding preset (cf. x264 --fullhelp)',
+        default: 'medium',
+        values: []
+      });
+      ('default' in help.options.tune).should.equal(false);
+      help.options.crf.min.should.equal(-1);
+      help.options.crf.max.should.equal(3.40282347e+38);
+      help.options['b-bias'].default.should.equal(-2147483648);
+      help.options.psy.default.should.equal('auto');
+      help.options.a53cc.default.should.equal(true);
+      help.options['aq-mode'].description.should.equal('AQ method');
+      help.options['aq-mode'].values.should.eql([
+        { name: 'none', value: 0, description: '' },
+        { name: 'variance', value: 1, description: 'Variance AQ (complexity mask)' }
+      ]);
+      help.options['x264-params'].type.should.equal('dictionary');
+    });
+
+    it('should parse filter options and named values without constants', function() {
+      var help = utils.parseHelp([
+        'Filter scale',
+        '  Scale the input video size and/or convert the image format.',
+        '    Inputs:',
+        '       #0: default (video)',
+        'scale AVOptions:',
+        '  w                 <string>     ..FV..... Output video width',
+        '  in_range          <int>        ..FV..... set input color range (from 0 to 2) (default auto)',
+        '     auto                         ..FV.....',
+        '     full                         ..FV.....',
+        '',
+        'This filter has support for timeline through the \'enable\' option.'
+      ].join('\n'));
+
+      help.name.should.equal('scale');
+      help.description.should.equal('Scale the input video size and/or convert the image format.');
+      help.options.w.description.should.equal('Output video width');
+      help.options.in_range.default.should.equal('auto');
+      help.options.in_range.values.should.eql([
+        { name: 'auto', description: '' },
+        { name: 'full', description: '' }
+      ]);
+    });
+
+    it('should parse options with 8 flag characters from ffmpeg 3.x', function() {
+      var help = utils.parseHelp([
+        'Encoder libx264 [libx264 H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10]:',
+        'libx264 AVOptions:',
+        '  -preset            <string>     E..V.... Set the encoding preset (cf. x264 --fullhelp) (default "medium")',
+        '  -aq-mode           <int>        E..V.... AQ method (from -1 to INT_MAX) (default -1)',
+        '     none                         E..V....',
+        '     variance                     E..V.... Variance AQ (complexity mask)'
+      ].join('\n'));
+
+      help.options.preset.flags.should.equal('E..V....');
+      help.options.preset.default.should.equal('medium');
+      help.options['aq-mode'].values.should.eql([
+        { name: 'none', description: '' },
+        { name: 'variance', description: 'Variance AQ (complexity mask)' }
+      ]);
+    });
+
+    it('should parse encoder audio capabilities', function() {
+      var help = utils.parseHelp([
+        'Encoder aac [AAC (Advanced Audio Coding)]:',
+        '    Supported sample rates: 96000 48000 44100',
+        '    Supported sample formats: fltp',
+        '    Supported channel layouts: mono stereo 5.1(side)'
+      ].join('\n'));
+
+      help.sampleRates.should.eql([96000, 48000, 44100]);
+      help.sampleFormats.should.eql(['fltp']);
+      help.channelLayouts.should.eql(['mono', 'stereo', '5.1(side)']);
+      help.options.should.eql({});
+    });
+
+    it('should return null on unknown names', function() {
+      assert.strictEqual(utils.parseHelp('Codec \'foo\' is not recognized by FFmpeg.\n'), null);
+      assert.strictEqual(utils.parseHelp('Unknown filter \'foo\'.\n'), null);
+    });
+  });
+
+  describe('extractCodecData', function() {
+    function extract(version, lines) {
+      var command = new EventEmitter();
+      var codecsObject = {};
+      var data = null;
+
+      command._ffmpegVersion = version;
+      command.on('codecData', function(input) {
+        data = input;
+      });
+
+      lines.forEach(function(line) {
+        utils.extractCodecData(command, line, codecsObject);
+      });
+
+      return data;
+    }
+
+    it('should parse video stream details depending on the ffmpeg version', function() {
+      var lines = [
+        'Input #0, mov,mp4,m4a,3gp,3g2,mj2, from \'/path/to/file.mp4\':',
+        '  Duration: 00:00:10.00, start: 0.000000, bitrate: 2100 kb/s',
+        '  Stream #0:0: Video: h264 (High), yuv420p(progressive), 1920x1080 [SAR 1:1 DAR 16:9], 2000 kb/s, 25 fps, 25 tbr, 12800 tbn',
+        'Stream mapping:'
+      ];
+
+      var data = extract({ major: 6, minor: 1, patch: 0 }, lines);
+
+      data.format.should.equal('mov,mp4,m4a,3gp,3g2,mj2');
+      data.duration.should.equal('00:00:10.00');
+      data.video[0].codec.should.equal('h264 (High)');
+      data.video[0].frameRate.should.equal('25 fps');
+      data.video[0].width.should.equal('1920');
+
+      lines[2] = '  Stream #0:0: Video: h264 (High), yuv420p(progressive), 1920x1080 [SAR 1:1 DAR 16:9], 25 fps, 25 tbr, 12800k tbn, 50 tbc';
+      data = extract({ major: 4, minor: 4, patch: 0 }, lines);
+
+      data.video[0].codec.should.equal('h264 (High)');
+      data.video[0].frameRate.should.equal('25 fps');
+    });
+  });
+
+  describe('snapToKeyframe', function() {
+    var keyframes = [0, 0.6, 1.2, 1.8];
+
+    it('should snap to the previous keyframe by default', function() {
+      utils.snapToKeyframe(keyframes, 1).should.equal(0.6);
+      utils.snapToKeyframe(keyframes, 1.2).should.equal(1.2);
+      utils.snapToKeyframe(keyframes, 5).should.equal(1.8);
+    });
+
+    it('should snap to the next keyframe', function() {
+      utils.snapToKeyframe(keyframes, 0.7, 'next').should.equal(1.2);
+      utils.snapToKeyframe(keyframes, 0.6, 'next').should.equal(0.6);
+      (utils.snapToKeyframe(keyframes, 1.9, 'next') === null).should.equal(true);
+    });
+
+    it('should snap to the nearest keyframe', function() {
+      utils.snapToKeyframe(keyframes, 0.8, 'nearest').should.equal(0.6);
+      utils.snapToKeyframe(keyframes, 1, 'nearest').should.equal(1.2);
+      utils.snapToKeyframe(keyframes, 3, 'nearest').should.equal(1.8);
+    });
+
+    it('should accept timemarks', function() {
+      utils.snapToKeyframe([0, 59.5, 61], '00:01:00', 'previous').should.equal(59.5);
+    });
+
+    it('should return null when no keyframe matches', function() {
+      (utils.snapToKeyframe([], 1) === null).should.equal(true);
+      (utils.snapToKeyframe([1, 2], 0.5, 'previous') === null).should.equal(true);
+    });
+
+    it('should throw on invalid directions', function() {
+      (function() {
+        utils.snapToKeyframe(keyframes, 1, 'backwards');
+      }).should.throw(/Invalid keyframe snapping direction/);
+    });
+  });
+
+  describe('outputDuration', function() {
+    function metadata(duration) {
+      return new FfmpegCommand.Metadata({ streams: [], format: { duration: duration } });
+    }
+
+    it('should use the longest input duration', function() {
+      var command = new FfmpegCommand('/path/to/file1.avi').input('/path/to/file2.avi').output('/path/to/out.avi');
+
+      utils.outputDuration(command, [metadata(40), metadata(60)]).should.equal(60);
+      utils.outputDuration(command, [metadata(40), null]).should.equal(40);
+      isNaN(utils.outputDuration(command, [null, null])).should.equal(true);
+    });
+
+    it('should take input seeks and durations into account', function() {
+      var command = new FfmpegCommand('/path/to/file1.avi')
+        .seekInput(10)
+        .input('/path/to/file2.avi')
+        .inputOptions('-ss', '00:00:50', '-t', '5')
+        .output('/path/to/out.avi');
+
+      utils.outputDuration(command, [metadata(40), metadata(60)]).should.equal(30);
+      utils.outputDuration(command, [metadata(5), metadata(60)]).should.equal(5);
+    });
+
+    it('should add up durations of concatenated inputs', function() {
+      var command = new FfmpegCommand('/path/to/file1.avi')
+        .input('/path/to/file2.avi')
+        .seekInput(20)
+        .complexFilter('[0:v][1:v]concat=n=2:v=1:a=0')
+        .output('/path/to/out.avi');
+
+      utils.outputDuration(command, [metadata(40), metadata(60)]).should.equal(80);
+      isNaN(utils.outputDuration(command, [metadata(40), null])).should.equal(true);
+    });
+
+    it('should take stop times and output seeks into account', function() {
+      var command = new FfmpegCommand('/path/to/file1.avi')
+        .seekInput(10)
+        .inputOptions('-to', 30)
+        .output('/path/to/out.avi')
+        .seek(5)
+        .outputOptions('-to', '00:00:12');
+
+      utils.outputDuration(command, [metadata(40)]).should.equal(7);
+      utils.outputDuration(command, [metadata(12)]).should.equal(0);
+
+      command.duration(10);
+      utils.outputDuration(command, [metadata(40)]).should.equal(10);
+    });
+
+    it('should limit durations to output durations', function() {
+      var command = new FfmpegCommand('/path/to/file1.avi')
+        .output('/path/to/out1.avi')
+        .duration('00:00:15')
+        .output('/path/to/out2.avi')
+        .duration(25);
+
+      utils.outputDuration(command, [metadata(40)]).should.equal(25);
+      utils.outputDuration(command, [metadata(20)]).should.equal(20);
+    });
+  });
+
   describe('Lines ring buffer', function() {
     it('should append lines', function() {
       var ring = utils.linesRing(100);
@@ -203,4 +521,132 @@ describe('Utilities', function() {
       ring.get().should.equal('foo\nbar\nbazfoo\nbar');
     });
   });
+
+  describe('Progress parser', function() {
+    var line = 'frame=  250 fps= 50 q=3.0 size=     640kB time=00:00:10.00 bitrate= 512.3kbits/s speed=2.5x';
+
+    it('should compute percent and ETA from the expected output duration', function() {
+      var command = new EventEmitter();
+      var events = [];
+
+      command._outputDuration = 40;
+      command.on('progress', function(progress) {
+        events.push(progress);
+      });
+
+      utils.extractProgress(command, line);
+      utils.extractProgress(command, line.replace('00:00:10.00', '00:00:45.00'));
+
+      events.length.should.equal(2);
+      events[0].frames.should.equal(250);
+      events[0].timemark.should.equal('00:00:10.00');
+      events[0].percent.should.equal(25);
+      events[0].eta.should.equal(12);
+      events[1].percent.should.equal(100);
+      events[1].eta.should.equal(0);
+    });
+
+    it('should not compute percent when duration is unknown', function() {
+      var command = new EventEmitter();
+      var events = [];
+
+      command.on('progress', function(progress) {
+        events.push(progress);
+      });
+
+      utils.extractProgress(command, line);
+
+      events[0].should.not.have.property('percent');
+      events[0].should.not.have.property('eta');
+    });
+  });
+
+  describe('Pipe progress parser', function() {
+    var block = [
+      'frame=250',
+      'fps=50.00',
+      'stream_0_0_q=3.0',
+      'bitrate= 512.3kbits/s',
+      'total_size=655360',
+      'out_time_us=10000000',
+      'out_time_ms=10000000',
+      'out_time=00:00:10.000000',
+      'dup_frames=2',
+      'drop_frames=1',
+      'speed=2.5x'
+    ];
+
+    function feed(command, lines, progressObject) {
+      lines.forEach(function(line) {
+        utils.extractPipeProgress(command, line, progressObject);
+      });
+    }
+
+    it('should emit one progress event per block', function() {
+      var command = new EventEmitter();
+      var progressObject = {};
+      var events = [];
+
+      command.on('progress', function(progress) {
+        events.push(progress);
+      });
+
+      feed(command, block, progressObject);
+      events.length.should.equal(0);
+
+      feed(command, ['progress=continue'], progressObject);
+      events.length.should.equal(1);
+      Object.keys(progressObject).length.should.equal(0);
+
+      events[0].frames.should.equal(250);
+      events[0].currentFps.should.equal(50);
+      events[0].currentKbps.should.equal(512.3);
+      events[0].targetSize.should.equal(640);
+      events[0].timemark.should.equal('00:00:10.000000');
+      events[0].speed.should.equal(2.5);
+      events[0].droppedFrames.should.equal(1);
+      events[0].duplicatedFrames.should.equal(2);
+      events[0].should.not.have.property('percent');
+      events[0].should.not.have.property('eta');
+    });
+
+    it('should compute percent and ETA when duration is known', function() {
+      var command = new EventEmitter();
+      var progressObject = {};
+      var events = [];
+
+      command._ffprobeData = { format: { duration: '40.000000' } };
+      command.on('progress', function(progress) {
+        events.push(progress);
+      });
+
+      feed(command, block.concat(['progress=continue']), progressObject);
+      feed(command, block.concat(['progress=end']), progressObject);
+
+      events.length.should.equal(2);
+      events[0].percent.should.equal(25);
+      events[0].eta.should.equal(12);
+      events[1].percent.should.equal(100);
+      events[1].eta.should.equal(0);
+    });
+
+    it('should ignore malformed lines and unknown speed', function() {
+      var command = new EventEmitter();
+      var progressObject = {};
+      var events = [];
+
+      command._ffprobeData = { format: { duration: '40.000000' } };
+      command.on('progress', function(progress) {
+        events.push(progress);
+      });
+
+      feed(command, ['garbage', 'frame=0', 'out_time_us=0', 'speed=N/A', 'progress=continue'], progressObject);
+
+      events.length.should.equal(1);
+      events[0].frames.should.equal(0);
+      events[0].speed.should.equal(0);
+      events[0].percent.should.equal(0);
+      events[0].should.not.have.property('eta');
+    });
+  });
 });